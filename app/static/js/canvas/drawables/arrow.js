@@ -20,29 +20,29 @@ export default class Arrow extends Drawable {
 
     draw (rend) {
         rend.setColor(this.options.color)
-        rend.ctx.beginPath()
+        rend.beginPath()
 
         let angle = Math.atan2(this.to.y - this.from.y, this.to.x - this.from.x)
         let x = this.options.arrowRadius * Math.cos(angle) + this.to.x
         let y = this.options.arrowRadius * Math.sin(angle) + this.to.y
 
-        rend.ctx.moveTo(x, y)
+        rend.moveTo(x, y)
 
         angle += (1.0 / 3.0) * (2 * Math.PI)
         x = this.options.arrowRadius * Math.cos(angle) + this.to.x
         y = this.options.arrowRadius * Math.sin(angle) + this.to.y
 
-        rend.ctx.lineTo(x, y)
+        rend.lineTo(x, y)
 
         angle += (1.0 / 3.0) * (2 * Math.PI)
         x = this.options.arrowRadius * Math.cos(angle) + this.to.x
         y = this.options.arrowRadius * Math.sin(angle) + this.to.y
 
-        rend.ctx.lineTo(x, y)
+        rend.lineTo(x, y)
 
-        rend.ctx.closePath()
+        rend.closePath()
 
-        rend.ctx.fill()
+        rend.fill()
         rend.resetColor()
     }
 }
@@ -81,11 +81,11 @@ export default class BezierCurvedLine extends Drawable {
 
     draw (rend) {
         rend.setColor(this.options.color)
-        rend.ctx.lineWidth = this.options.width
-        rend.ctx.beginPath()
-        rend.ctx.moveTo(this.from.x, this.from.y)
-        rend.ctx.bezierCurveTo(this.cp1.x, this.cp1.y, this.cp2.x, this.cp2.y, this.to.x, this.to.y)
-        rend.ctx.stroke()
+        rend.setLineWidth(this.options.width)
+        rend.beginPath()
+        rend.moveTo(this.from.x, this.from.y)
+        rend.bezierCurveTo(this.cp1.x, this.cp1.y, this.cp2.x, this.cp2.y, this.to.x, this.to.y)
+        rend.stroke()
         rend.resetColor()
 
         this.arrowhead.draw(rend)
@@ -1,5 +1,6 @@
 import Drawable from './drawable.js'
 import Location from '../location.js'
+import Text from './text.js'
 
 export default class Circle extends Drawable {
     /**
@@ -11,7 +12,8 @@ export default class Circle extends Drawable {
      *         color: '#fff',
      *         text: new Text(...textOptions),
      *         borderOptions: {color: '#000', width: 2},
-     *         outlineOptions: {color: '#000', width: 2, distance: 5}
+     *         outlineOptions: {color: '#000', width: 2, distance: 5},
+     *         badgeOptions: {color: '#ffdd57', text: '!', radius: 10}
      *     })
      */
     constructor (loc, options) {
@@ -35,31 +37,44 @@ export default class Circle extends Drawable {
     draw (rend) {
         if (this.options.borderOptions) {
             rend.setColor(this.options.borderOptions.color)
-            rend.ctx.beginPath()
-            rend.ctx.arc(this.loc.x, this.loc.y, this.options.radius + this.options.borderOptions.width, 0, 2 * Math.PI)
-            rend.ctx.fill()
+            rend.beginPath()
+            rend.arc(this.loc.x, this.loc.y, this.options.radius + this.options.borderOptions.width, 0, 2 * Math.PI)
+            rend.fill()
         }
 
         if (this.options.outlineOptions) {
-            rend.ctx.lineWidth = this.options.outlineOptions.width
+            rend.setLineWidth(this.options.outlineOptions.width)
             rend.setColor(this.options.outlineOptions.color)
-            rend.ctx.beginPath()
-            rend.ctx.arc(this.loc.x, this.loc.y, this.options.radius + this.options.outlineOptions.distance, 0, 2 * Math.PI)
-            rend.ctx.stroke()
+            rend.beginPath()
+            rend.arc(this.loc.x, this.loc.y, this.options.radius + this.options.outlineOptions.distance, 0, 2 * Math.PI)
+            rend.stroke()
         }
 
         rend.setColor(this.options.color)
 
-        rend.ctx.beginPath()
-        rend.ctx.arc(this.loc.x, this.loc.y, this.options.radius, 0, 2 * Math.PI)
-        rend.ctx.fill()
+        rend.beginPath()
+        rend.arc(this.loc.x, this.loc.y, this.options.radius, 0, 2 * Math.PI)
+        rend.fill()
 
         if (this.options.text) {
             // Fit the text within the circle's diameter
-            this.options.text.fitToWidth(2 * this.options.radius - 5, rend.ctx)
+            this.options.text.fitToWidth(2 * this.options.radius - 5, rend)
             this.options.text.draw(rend)
         }
 
+        if (this.options.badgeOptions) {
+            // Draw the badge on the top right edge of the circle
+            const badge = this.options.badgeOptions
+            const loc = this.loc.moveToAngle(-Math.PI / 4, this.options.radius)
+
+            rend.setColor(badge.color)
+            rend.beginPath()
+            rend.arc(loc.x, loc.y, badge.radius, 0, 2 * Math.PI)
+            rend.fill()
+
+            new Text(loc, { text: badge.text, size: badge.radius * 1.5, color: '#000', font: 'Helvetica' }).draw(rend)
+        }
+
         rend.resetColor()
     }
 }
@@ -79,11 +79,11 @@ export default class QuadraticCurvedLine extends Drawable {
 
     draw (rend) {
         rend.setColor(this.options.color)
-        rend.ctx.lineWidth = this.options.width
-        rend.ctx.beginPath()
-        rend.ctx.moveTo(this.from.x, this.from.y)
-        rend.ctx.quadraticCurveTo(this.cp.x, this.cp.y, this.to.x, this.to.y)
-        rend.ctx.stroke()
+        rend.setLineWidth(this.options.width)
+        rend.beginPath()
+        rend.moveTo(this.from.x, this.from.y)
+        rend.quadraticCurveTo(this.cp.x, this.cp.y, this.to.x, this.to.y)
+        rend.stroke()
         rend.resetColor()
 
         this.arrowhead.draw(rend)
@@ -0,0 +1,51 @@
+import Drawable from './drawable.js'
+import Location from '../location.js'
+import Text from './text.js'
+
+export default class Stack extends Drawable {
+    /**
+     * @param {Location} loc The location of the bottom center of the stack
+     * @param {Object} options The options with which to draw the stack
+     * @example
+     *     new Stack(new Location(0, 0), {
+     *         symbols: ['Z', 'A'],
+     *         cellSize: 30,
+     *         color: '#fff',
+     *         topColor: '#f3b75b',
+     *         label: '1'
+     *     })
+     */
+    constructor (loc, options) {
+        super()
+        this.loc = loc
+        this.options = options
+    }
+
+    draw (rend) {
+        const size = this.options.cellSize
+        const symbols = this.options.symbols
+
+        // Draw the cells from the bottom of the stack up, with the top of the stack highlighted
+        symbols.forEach((symbol, i) => {
+            const x = this.loc.x - size / 2
+            const y = this.loc.y - (i + 1) * size
+
+            rend.setColor(i === symbols.length - 1 ? this.options.topColor : this.options.color)
+            rend.fillRect(x, y, size, size)
+
+            rend.setLineWidth(2)
+            rend.setColor('#000')
+            rend.strokeRect(x, y, size, size)
+
+            const text = new Text(new Location(this.loc.x, y + size / 2), { text: symbol, size: size * 0.6, color: '#000', font: 'Helvetica' })
+            text.fitToWidth(size - 4, rend)
+            text.draw(rend)
+        })
+
+        if (this.options.label) {
+            new Text(new Location(this.loc.x, this.loc.y + size / 2), { text: this.options.label, size: size / 2, color: '#000', font: 'Roboto' }).draw(rend)
+        }
+
+        rend.resetColor()
+    }
+}
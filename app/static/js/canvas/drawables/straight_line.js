@@ -23,13 +23,13 @@ export default class StraightLine extends Drawable {
 
     draw (rend) {
         rend.setColor(this.options.color)
-        rend.ctx.beginPath()
-        rend.ctx.setLineDash(this.options.dash)
-        rend.ctx.moveTo(this.from.x, this.from.y)
-        rend.ctx.lineTo(this.to.x, this.to.y)
-        rend.ctx.lineWidth = this.options.width
-        rend.ctx.stroke()
-        rend.ctx.setLineDash([])
+        rend.beginPath()
+        rend.setLineDash(this.options.dash)
+        rend.moveTo(this.from.x, this.from.y)
+        rend.lineTo(this.to.x, this.to.y)
+        rend.setLineWidth(this.options.width)
+        rend.stroke()
+        rend.setLineDash([])
         rend.resetColor()
     }
 }
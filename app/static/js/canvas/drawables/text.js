@@ -26,12 +26,12 @@ export default class Text extends Drawable {
     /**
      * Adjust the text's size until it fits within the given width
      * @param {Number} width The max width the text can be
-     * @param {CanvasRenderingContext2D} ctx The canvas context
+     * @param {Renderer} rend The renderer that measures the text
      */
-    fitToWidth (width, ctx) {
+    fitToWidth (width, rend) {
         while (true) {
-            ctx.font = `${this.options.size}px ${this.options.font}`
-            const renderedWidth = ctx.measureText(this.options.text).width
+            rend.setFont(this.options.size, this.options.font)
+            const renderedWidth = rend.measureText(this.options.text)
 
             if (renderedWidth > width) {
                 this.options.size--
@@ -45,26 +45,25 @@ export default class Text extends Drawable {
     draw (rend) {
         rend.setColor(this.options.color)
 
-        if (this.options.outline) { rend.ctx.lineWidth = this.options.outline.width }
+        if (this.options.outline) { rend.setLineWidth(this.options.outline.width) }
 
-        rend.ctx.textAlign = 'center'
-        rend.ctx.font = `${this.options.size}px ${this.options.font}`
+        rend.setFont(this.options.size, this.options.font)
         if (this.options.rotation) {
             rend.rotate(this.options.rotation, this.loc)
             if (this.options.outline) {
                 rend.setColor(this.options.outline.color)
-                rend.ctx.strokeText(this.options.text, 0, 0 + (this.options.size / 4))
+                rend.strokeText(this.options.text, 0, 0 + (this.options.size / 4))
                 rend.setColor(this.options.color)
             }
-            rend.ctx.fillText(this.options.text, 0, 0 + (this.options.size / 4))
+            rend.fillText(this.options.text, 0, 0 + (this.options.size / 4))
             rend.unrotate()
         } else {
             if (this.options.outline) {
                 rend.setColor(this.options.outline.color)
-                rend.ctx.strokeText(this.options.text, this.loc.x, this.loc.y + (this.options.size / 4))
+                rend.strokeText(this.options.text, this.loc.x, this.loc.y + (this.options.size / 4))
                 rend.setColor(this.options.color)
             }
-            rend.ctx.fillText(this.options.text, this.loc.x, this.loc.y + (this.options.size / 4))
+            rend.fillText(this.options.text, this.loc.x, this.loc.y + (this.options.size / 4))
         }
 
         rend.resetColor()
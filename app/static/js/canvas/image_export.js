@@ -0,0 +1,49 @@
+import Renderer from './renderer.js'
+import SVGRenderer from './svg_renderer.js'
+
+// The space left around the automaton in exported images
+const IMAGE_MARGIN = 20
+const IMAGE_BACKGROUND = '#fff'
+
+/**
+ * Draw the objects of a canvas as an SVG image, cropped to the bounding box of the objects
+ *
+ * @param {Array} objects The drawables on the canvas
+ * @returns {String} The SVG source
+ */
+export function toSVG (objects) {
+    const rend = new SVGRenderer()
+    objects.forEach(e => e.draw(rend))
+
+    return rend.toString(IMAGE_MARGIN, IMAGE_BACKGROUND)
+}
+
+/**
+ * Draw the objects of a canvas as a PNG image, cropped to the bounding box of the objects
+ *
+ * @param {Array} objects The drawables on the canvas
+ * @param {Number} scale The number of image pixels per canvas pixel
+ * @returns {String} The PNG image as a data URL
+ */
+export function toPNG (objects, scale) {
+    // Draw the objects as an SVG image first, only to find their bounding box
+    const measure = new SVGRenderer()
+    objects.forEach(e => e.draw(measure))
+    const bounds = measure.getBounds(IMAGE_MARGIN)
+
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.ceil(bounds.width * scale)
+    canvas.height = Math.ceil(bounds.height * scale)
+
+    const ctx = canvas.getContext('2d')
+    ctx.scale(scale, scale)
+    ctx.translate(-bounds.x, -bounds.y)
+
+    const rend = new Renderer(canvas, ctx)
+    rend.setColor(IMAGE_BACKGROUND)
+    rend.fillRect(bounds.x, bounds.y, bounds.width, bounds.height)
+    rend.resetColor()
+    objects.forEach(e => e.draw(rend))
+
+    return canvas.toDataURL('image/png')
+}
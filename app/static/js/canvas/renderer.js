@@ -1,6 +1,8 @@
 export default class Renderer {
     /**
-     * Renderer adds some helper functions to render objects onto the canvas
+     * Renderer is the drawing backend of the drawables, which only draw through its functions. This
+     * renderer draws onto the 2D context of a canvas element, and SVGRenderer overrides the same functions
+     * to build an SVG image instead.
      *
      * @param {Element} canvas The canvas element
      * @param {CanvasRenderingContext2D} ctx The 2D context of the canvas element
@@ -16,12 +18,13 @@ export default class Renderer {
      * Rotate the drawing context so later drawings will be rotated. The rotation must be manually reset
      * with unrotate()
      *
-     * @param {Number} angle The angle at which to rotate the canvas (in degrees)
+     * @param {Number} angle The angle at which to rotate the canvas (in radians)
      * @param {Position} drawLoc The location that will be drawn at (must draw the desired object at 0, 0)
      *
      * @example
      *     canvas.renderer.rotate(Math.PI, new Location(50, 15))
-     *     canvas.renderer.drawText('Hello world!', 15, new Location(0, 0))
+     *     canvas.renderer.fillText('Hello world!', 0, 0)
+     *     canvas.renderer.unrotate()
      */
     rotate (angle, drawLoc) {
         this.ctx.save()
@@ -53,4 +56,177 @@ export default class Renderer {
         this.ctx.fillStyle = this.defaultColor
         this.ctx.strokeStyle = this.defaultColor
     }
+
+    /**
+     * Set the width of the lines that are stroked
+     *
+     * @param {Number} width The line width
+     */
+    setLineWidth (width) {
+        this.ctx.lineWidth = width
+    }
+
+    /**
+     * Set the dash pattern of the lines that are stroked
+     *
+     * @param {Array} dash The lengths of the dashes and gaps, or an empty array for solid lines
+     */
+    setLineDash (dash) {
+        this.ctx.setLineDash(dash)
+    }
+
+    /**
+     * Set the font of the text that is drawn or measured
+     *
+     * @param {Number} size The font size (in pixels)
+     * @param {String} font The font family
+     */
+    setFont (size, font) {
+        this.ctx.font = `${size}px ${font}`
+    }
+
+    /**
+     * Measure the width of a text in the current font
+     *
+     * @param {String} text The text
+     * @returns {Number} The width (in pixels)
+     */
+    measureText (text) {
+        return this.ctx.measureText(text).width
+    }
+
+    /**
+     * Start a new path
+     */
+    beginPath () {
+        this.ctx.beginPath()
+    }
+
+    /**
+     * Close the current path with a line back to its start
+     */
+    closePath () {
+        this.ctx.closePath()
+    }
+
+    /**
+     * Move to a point without drawing
+     *
+     * @param {Number} x The x-coordinate
+     * @param {Number} y The y-coordinate
+     */
+    moveTo (x, y) {
+        this.ctx.moveTo(x, y)
+    }
+
+    /**
+     * Add a straight line to the current path
+     *
+     * @param {Number} x The x-coordinate of the end
+     * @param {Number} y The y-coordinate of the end
+     */
+    lineTo (x, y) {
+        this.ctx.lineTo(x, y)
+    }
+
+    /**
+     * Add a quadratic curve to the current path
+     *
+     * @param {Number} cpx The x-coordinate of the control point
+     * @param {Number} cpy The y-coordinate of the control point
+     * @param {Number} x The x-coordinate of the end
+     * @param {Number} y The y-coordinate of the end
+     */
+    quadraticCurveTo (cpx, cpy, x, y) {
+        this.ctx.quadraticCurveTo(cpx, cpy, x, y)
+    }
+
+    /**
+     * Add a cubic bezier curve to the current path
+     *
+     * @param {Number} cp1x The x-coordinate of the first control point
+     * @param {Number} cp1y The y-coordinate of the first control point
+     * @param {Number} cp2x The x-coordinate of the second control point
+     * @param {Number} cp2y The y-coordinate of the second control point
+     * @param {Number} x The x-coordinate of the end
+     * @param {Number} y The y-coordinate of the end
+     */
+    bezierCurveTo (cp1x, cp1y, cp2x, cp2y, x, y) {
+        this.ctx.bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y)
+    }
+
+    /**
+     * Add a clockwise arc of a circle to the current path
+     *
+     * @param {Number} x The x-coordinate of the center
+     * @param {Number} y The y-coordinate of the center
+     * @param {Number} radius The radius
+     * @param {Number} startAngle The angle the arc starts at (in radians)
+     * @param {Number} endAngle The angle the arc ends at (in radians)
+     */
+    arc (x, y, radius, startAngle, endAngle) {
+        this.ctx.arc(x, y, radius, startAngle, endAngle)
+    }
+
+    /**
+     * Fill the current path with the current color
+     */
+    fill () {
+        this.ctx.fill()
+    }
+
+    /**
+     * Stroke the current path with the current color, line width and dash pattern
+     */
+    stroke () {
+        this.ctx.stroke()
+    }
+
+    /**
+     * Fill a rectangle with the current color
+     *
+     * @param {Number} x The x-coordinate of the top left corner
+     * @param {Number} y The y-coordinate of the top left corner
+     * @param {Number} width The width
+     * @param {Number} height The height
+     */
+    fillRect (x, y, width, height) {
+        this.ctx.fillRect(x, y, width, height)
+    }
+
+    /**
+     * Stroke the outline of a rectangle with the current color and line width
+     *
+     * @param {Number} x The x-coordinate of the top left corner
+     * @param {Number} y The y-coordinate of the top left corner
+     * @param {Number} width The width
+     * @param {Number} height The height
+     */
+    strokeRect (x, y, width, height) {
+        this.ctx.strokeRect(x, y, width, height)
+    }
+
+    /**
+     * Fill a text in the current font and color, centered horizontally on the given point
+     *
+     * @param {String} text The text
+     * @param {Number} x The x-coordinate of the center of the text
+     * @param {Number} y The y-coordinate of the baseline of the text
+     */
+    fillText (text, x, y) {
+        this.ctx.textAlign = 'center'
+        this.ctx.fillText(text, x, y)
+    }
+
+    /**
+     * Stroke the outline of a text in the current font, color and line width, centered horizontally on the given point
+     *
+     * @param {String} text The text
+     * @param {Number} x The x-coordinate of the center of the text
+     * @param {Number} y The y-coordinate of the baseline of the text
+     */
+    strokeText (text, x, y) {
+        this.ctx.textAlign = 'center'
+        this.ctx.strokeText(text, x, y)
+    }
 }
@@ -0,0 +1,321 @@
+import Renderer from './renderer.js'
+
+// The number of points sampled on a curve or arc to find how far it reaches
+const CURVE_SAMPLES = 16
+
+export default class SVGRenderer extends Renderer {
+    /**
+     * SVGRenderer draws the drawables into an SVG image rather than onto a canvas, keeping text as text.
+     * It also keeps track of the bounding box of everything drawn, so that the image can be cropped to it.
+     */
+    constructor () {
+        // Text is measured on a canvas that is never shown
+        const canvas = document.createElement('canvas')
+        super(canvas, canvas.getContext('2d'))
+
+        this.elements = []
+
+        // transforms holds the rotations that are in effect, innermost last
+        this.transforms = []
+
+        this.fillColor = this.defaultColor
+        this.strokeColor = this.defaultColor
+        this.lineWidth = 1
+        this.dash = []
+        this.fontSize = 10
+        this.fontFamily = 'sans-serif'
+
+        // The path that is being built, and the points it passes through in image coordinates
+        this.path = ''
+        this.pathPoints = []
+        this.current = undefined
+
+        this.bounds = undefined
+    }
+
+    rotate (angle, drawLoc) {
+        this.transforms.push({ x: drawLoc.x, y: drawLoc.y, angle: angle })
+        this.elements.push(`<g transform="translate(${round(drawLoc.x)} ${round(drawLoc.y)}) rotate(${round(angle * 180 / Math.PI)})">`)
+    }
+
+    unrotate () {
+        this.transforms.pop()
+        this.elements.push('</g>')
+    }
+
+    setColor (color) {
+        this.fillColor = color
+        this.strokeColor = color
+    }
+
+    resetColor () {
+        this.setColor(this.defaultColor)
+    }
+
+    setLineWidth (width) {
+        this.lineWidth = width
+    }
+
+    setLineDash (dash) {
+        this.dash = dash
+    }
+
+    setFont (size, font) {
+        super.setFont(size, font)
+        this.fontSize = size
+        this.fontFamily = font
+    }
+
+    beginPath () {
+        this.path = ''
+        this.pathPoints = []
+        this.current = undefined
+    }
+
+    closePath () {
+        this.path += 'Z'
+    }
+
+    moveTo (x, y) {
+        this.path += `M${round(x)} ${round(y)}`
+        this.addPathPoint(x, y)
+    }
+
+    lineTo (x, y) {
+        this.path += `${this.path ? 'L' : 'M'}${round(x)} ${round(y)}`
+        this.addPathPoint(x, y)
+    }
+
+    quadraticCurveTo (cpx, cpy, x, y) {
+        const from = this.current || { x: cpx, y: cpy }
+        this.path += `Q${round(cpx)} ${round(cpy)} ${round(x)} ${round(y)}`
+
+        for (let i = 1; i <= CURVE_SAMPLES; i++) {
+            const t = i / CURVE_SAMPLES
+            this.addPathPoint(
+                (1 - t) * (1 - t) * from.x + 2 * (1 - t) * t * cpx + t * t * x,
+                (1 - t) * (1 - t) * from.y + 2 * (1 - t) * t * cpy + t * t * y
+            )
+        }
+    }
+
+    bezierCurveTo (cp1x, cp1y, cp2x, cp2y, x, y) {
+        const from = this.current || { x: cp1x, y: cp1y }
+        this.path += `C${round(cp1x)} ${round(cp1y)} ${round(cp2x)} ${round(cp2y)} ${round(x)} ${round(y)}`
+
+        for (let i = 1; i <= CURVE_SAMPLES; i++) {
+            const t = i / CURVE_SAMPLES
+            const a = Math.pow(1 - t, 3)
+            const b = 3 * Math.pow(1 - t, 2) * t
+            const c = 3 * (1 - t) * t * t
+            const d = Math.pow(t, 3)
+            this.addPathPoint(a * from.x + b * cp1x + c * cp2x + d * x, a * from.y + b * cp1y + c * cp2y + d * y)
+        }
+    }
+
+    arc (x, y, radius, startAngle, endAngle) {
+        const point = angle => ({ x: x + radius * Math.cos(angle), y: y + radius * Math.sin(angle) })
+        const start = point(startAngle)
+        this.lineTo(start.x, start.y)
+
+        let delta = endAngle - startAngle
+        if (delta >= 2 * Math.PI) {
+            // A full circle is drawn as two halves, since an SVG arc cannot end where it starts
+            const opposite = point(startAngle + Math.PI)
+            this.path += `A${round(radius)} ${round(radius)} 0 1 1 ${round(opposite.x)} ${round(opposite.y)}`
+            this.path += `A${round(radius)} ${round(radius)} 0 1 1 ${round(start.x)} ${round(start.y)}`
+            delta = 2 * Math.PI
+        } else {
+            delta = ((delta % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI)
+            const end = point(startAngle + delta)
+            this.path += `A${round(radius)} ${round(radius)} 0 ${delta > Math.PI ? 1 : 0} 1 ${round(end.x)} ${round(end.y)}`
+        }
+
+        for (let i = 1; i <= CURVE_SAMPLES; i++) {
+            const p = point(startAngle + delta * i / CURVE_SAMPLES)
+            this.addPathPoint(p.x, p.y)
+        }
+    }
+
+    fill () {
+        this.elements.push(`<path d="${this.path}" fill="${this.fillColor}"/>`)
+        this.pathPoints.forEach(e => this.extendBounds(e, 0))
+    }
+
+    stroke () {
+        this.elements.push(`<path d="${this.path}" fill="none"${this.getStrokeAttributes()}/>`)
+        this.pathPoints.forEach(e => this.extendBounds(e, this.lineWidth / 2))
+    }
+
+    fillRect (x, y, width, height) {
+        this.elements.push(`<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" fill="${this.fillColor}"/>`)
+        this.extendRect(x, y, width, height, 0)
+    }
+
+    strokeRect (x, y, width, height) {
+        this.elements.push(`<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" fill="none"${this.getStrokeAttributes()}/>`)
+        this.extendRect(x, y, width, height, this.lineWidth / 2)
+    }
+
+    fillText (text, x, y) {
+        this.elements.push(`<text ${this.getTextAttributes(x, y)} fill="${this.fillColor}">${escapeXML(text)}</text>`)
+        this.extendText(text, x, y)
+    }
+
+    strokeText (text, x, y) {
+        this.elements.push(`<text ${this.getTextAttributes(x, y)} fill="none"${this.getStrokeAttributes()}>${escapeXML(text)}</text>`)
+        this.extendText(text, x, y)
+    }
+
+    /**
+     * Get the attributes of an element that is stroked with the current color, line width and dash pattern
+     *
+     * @returns {String} The attributes, starting with a space
+     */
+    getStrokeAttributes () {
+        const dash = this.dash.length > 0 ? ` stroke-dasharray="${this.dash.join(' ')}"` : ''
+        return ` stroke="${this.strokeColor}" stroke-width="${round(this.lineWidth)}"${dash}`
+    }
+
+    /**
+     * Get the attributes of a text element centered on the given point in the current font
+     *
+     * @param {Number} x The x-coordinate of the center of the text
+     * @param {Number} y The y-coordinate of the baseline of the text
+     * @returns {String} The attributes
+     */
+    getTextAttributes (x, y) {
+        return `x="${round(x)}" y="${round(y)}" text-anchor="middle" font-size="${round(this.fontSize)}" font-family="${escapeXML(this.fontFamily)}"`
+    }
+
+    /**
+     * Add a point to the current path, keeping track of the point the path is at
+     *
+     * @param {Number} x The x-coordinate
+     * @param {Number} y The y-coordinate
+     */
+    addPathPoint (x, y) {
+        this.current = { x: x, y: y }
+        this.pathPoints.push(this.transform(x, y))
+    }
+
+    /**
+     * Apply the rotations in effect to a point
+     *
+     * @param {Number} x The x-coordinate
+     * @param {Number} y The y-coordinate
+     * @returns {Object} The point in image coordinates
+     */
+    transform (x, y) {
+        let point = { x: x, y: y }
+        for (let i = this.transforms.length - 1; i >= 0; i--) {
+            const { angle } = this.transforms[i]
+            point = {
+                x: this.transforms[i].x + point.x * Math.cos(angle) - point.y * Math.sin(angle),
+                y: this.transforms[i].y + point.x * Math.sin(angle) + point.y * Math.cos(angle)
+            }
+        }
+
+        return point
+    }
+
+    /**
+     * Grow the bounding box to contain a point
+     *
+     * @param {Object} point The point in image coordinates
+     * @param {Number} padding The distance around the point that is drawn too
+     */
+    extendBounds (point, padding) {
+        if (!this.bounds) this.bounds = { minX: point.x, minY: point.y, maxX: point.x, maxY: point.y }
+
+        this.bounds.minX = Math.min(this.bounds.minX, point.x - padding)
+        this.bounds.minY = Math.min(this.bounds.minY, point.y - padding)
+        this.bounds.maxX = Math.max(this.bounds.maxX, point.x + padding)
+        this.bounds.maxY = Math.max(this.bounds.maxY, point.y + padding)
+    }
+
+    /**
+     * Grow the bounding box to contain a rectangle
+     *
+     * @param {Number} x The x-coordinate of the top left corner
+     * @param {Number} y The y-coordinate of the top left corner
+     * @param {Number} width The width
+     * @param {Number} height The height
+     * @param {Number} padding The distance around the rectangle that is drawn too
+     */
+    extendRect (x, y, width, height, padding) {
+        for (const [px, py] of [[x, y], [x + width, y], [x, y + height], [x + width, y + height]]) {
+            this.extendBounds(this.transform(px, py), padding)
+        }
+    }
+
+    /**
+     * Grow the bounding box to contain a text centered on the given point
+     *
+     * @param {String} text The text
+     * @param {Number} x The x-coordinate of the center of the text
+     * @param {Number} y The y-coordinate of the baseline of the text
+     */
+    extendText (text, x, y) {
+        const width = this.measureText(text)
+
+        // Descenders reach about a quarter of the font size below the baseline
+        this.extendRect(x - width / 2, y - this.fontSize, width, this.fontSize * 1.25, 0)
+    }
+
+    /**
+     * Get the bounding box of everything drawn so far
+     *
+     * @param {Number} margin The space to leave around the drawing
+     * @returns {Object} The x- and y-coordinate of the top left corner, the width and the height
+     */
+    getBounds (margin = 0) {
+        if (!this.bounds) return { x: 0, y: 0, width: 2 * margin, height: 2 * margin }
+
+        return {
+            x: Math.floor(this.bounds.minX - margin),
+            y: Math.floor(this.bounds.minY - margin),
+            width: Math.ceil(this.bounds.maxX - this.bounds.minX + 2 * margin),
+            height: Math.ceil(this.bounds.maxY - this.bounds.minY + 2 * margin)
+        }
+    }
+
+    /**
+     * Write the SVG image, cropped to the bounding box of the drawing
+     *
+     * @param {Number} margin The space to leave around the drawing
+     * @param {String} background The background color, or undefined for a transparent background
+     * @returns {String} The SVG source
+     */
+    toString (margin = 0, background) {
+        const { x, y, width, height } = this.getBounds(margin)
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}">`,
+            ...(background ? [`<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${background}"/>`] : []),
+            ...this.elements,
+            '</svg>'
+        ].join('\n')
+    }
+}
+
+/**
+ * Round a coordinate to keep the SVG source short
+ *
+ * @param {Number} n The coordinate
+ * @returns {Number} The coordinate rounded to two decimals
+ */
+function round (n) {
+    return Math.round(n * 100) / 100
+}
+
+/**
+ * Escape text for use in XML
+ *
+ * @param {String} text The text
+ * @returns {String} The escaped text
+ */
+function escapeXML (text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
@@ -0,0 +1,121 @@
+import TransitionLabelParser, { escapeSymbol } from '../fsa/transition_label.js'
+import { showWarning, escapeHTML } from '../util/util.js'
+
+export default class AlphabetPanel {
+    /**
+     * AlphabetPanel manages the alphabet of a visual FSA explicitly: symbols can be declared before any
+     * transition uses them, renamed or deleted everywhere at once, and reordered to change the columns of the δ table
+     *
+     * @param {String} selector The selector for the panel element
+     * @param {VisualFSA} visual The visual FSA whose alphabet is managed
+     */
+    constructor (selector, visual) {
+        this.selector = selector
+        this.visual = visual
+
+        this.declareInput = document.querySelector(`${selector} .alphabet-declare`)
+        this.listElement = document.querySelector(`${selector} .alphabet-list`)
+        this.editElement = document.querySelector(`${selector} .alphabet-edit`)
+        this.renameInput = document.querySelector(`${selector} .alphabet-rename`)
+        this.previewElement = document.querySelector(`${selector} .alphabet-preview`)
+
+        // selected is the symbol that is being renamed or deleted
+        this.selected = undefined
+
+        document.querySelector(`${selector} .alphabet-add`).addEventListener('click', () => this.declare())
+        this.declareInput.addEventListener('keydown', e => {
+            if (e.key === 'Enter') this.declare()
+        })
+
+        document.querySelector(`${selector} .alphabet-rename-apply`).addEventListener('click', () => this.rename())
+        this.renameInput.addEventListener('keydown', e => {
+            if (e.key === 'Enter') this.rename()
+        })
+
+        document.querySelector(`${selector} .alphabet-delete`).addEventListener('click', () => {
+            try {
+                this.visual.deleteSymbol(this.selected)
+                this.select(undefined)
+            } catch (e) {
+                showWarning(e.message)
+            }
+        })
+
+        this.visual.addEventListener('change', () => this.update())
+
+        this.update()
+    }
+
+    /**
+     * Declare the symbols in the input field, which uses the same syntax as transition labels (e.g. 'a-e, x')
+     */
+    declare () {
+        try {
+            this.visual.declareSymbols(new TransitionLabelParser(this.declareInput.value).parse())
+            this.declareInput.value = ''
+        } catch (e) {
+            showWarning(e.message)
+        }
+    }
+
+    /**
+     * Rename the selected symbol to the name in the input field
+     */
+    rename () {
+        try {
+            const symbols = new TransitionLabelParser(this.renameInput.value).parse()
+            if (symbols.length !== 1) throw new Error('A symbol can only be renamed to a single new symbol')
+
+            this.visual.renameSymbol(this.selected, symbols[0])
+            this.select(symbols[0])
+        } catch (e) {
+            showWarning(e.message)
+        }
+    }
+
+    /**
+     * Select a symbol to rename or delete, previewing the transitions that use it
+     *
+     * @param {String} symbol The alphabet symbol, or undefined to close the editor
+     */
+    select (symbol) {
+        this.selected = this.visual.fsa.alphabet.includes(symbol) ? symbol : undefined
+        this.update()
+    }
+
+    /**
+     * Render the list of symbols and the editor for the selected symbol
+     */
+    update () {
+        const alphabet = this.visual.fsa.alphabet
+        if (!alphabet.includes(this.selected)) this.selected = undefined
+
+        this.listElement.innerHTML = alphabet.map((symbol, i) => {
+            const count = this.visual.getSymbolUsage(symbol).length
+            return `<div class="tags has-addons">
+                <a class="tag ${symbol === this.selected ? 'is-link' : 'is-light'} alphabet-symbol" data-index="${i}" title="Rename or delete">${escapeHTML(escapeSymbol(symbol))}</a>
+                <span class="tag" title="Transitions that read this symbol">${count}</span>
+                <a class="tag alphabet-move" data-index="${i}" data-offset="-1" title="Move forward"><i class="mdi mdi-chevron-left"></i></a>
+                <a class="tag alphabet-move" data-index="${i}" data-offset="1" title="Move back"><i class="mdi mdi-chevron-right"></i></a>
+            </div>`
+        }).join('')
+
+        this.listElement.querySelectorAll('.alphabet-symbol').forEach(e => e.addEventListener('click', () => {
+            const symbol = alphabet[Number(e.dataset.index)]
+            this.select(symbol === this.selected ? undefined : symbol)
+        }))
+        this.listElement.querySelectorAll('.alphabet-move').forEach(e => e.addEventListener('click', () => {
+            this.visual.moveSymbol(alphabet[Number(e.dataset.index)], Number(e.dataset.offset))
+        }))
+
+        this.editElement.style.display = this.selected === undefined ? 'none' : ''
+        if (this.selected === undefined) return
+
+        const usage = this.visual.getSymbolUsage(this.selected)
+        const symbol = escapeSymbol(this.selected)
+        this.renameInput.placeholder = `Rename ${symbol}`
+        this.previewElement.textContent = usage.length > 0
+            ? `Deleting ${symbol} removes ${usage.length} transition${usage.length === 1 ? '' : 's'}: ${usage.map(([from, to]) => `${from} → ${to}`).join(', ')}`
+            : `No transition reads ${symbol}, deleting it only removes it from Σ`
+    }
+}
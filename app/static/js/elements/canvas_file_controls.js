@@ -0,0 +1,62 @@
+import EventHandler from '../util/event_handler.js'
+
+// The extension of the files the editor saves automata to
+const FILE_EXTENSION = 'json'
+
+export default class CanvasFileControls extends EventHandler {
+    /**
+     * CanvasFileControls wires up the Save and Open buttons in the toolbar of a canvas, and lets an
+     * automaton file be dropped onto the canvas to open it
+     *
+     * @param {String} selector The selector for the canvas container, which holds the toolbar
+     */
+    constructor (selector) {
+        super()
+        this.selector = selector
+
+        this.container = document.querySelector(selector)
+        this.fileInput = document.querySelector(`${selector} .open-file-input`)
+        this.fileInput.accept = `.${FILE_EXTENSION}`
+
+        document.querySelector(`${selector} .save-file`).addEventListener('click', () => this.dispatchEvent('save'))
+        document.querySelector(`${selector} .open-file`).addEventListener('click', () => this.fileInput.click())
+
+        this.fileInput.addEventListener('change', () => {
+            if (this.fileInput.files.length > 0) this.readFile(this.fileInput.files[0])
+
+            // Allow the same file to be opened again
+            this.fileInput.value = ''
+        })
+
+        // The browser opens dropped files in place of the page unless the drop is handled
+        this.container.addEventListener('dragover', e => {
+            if (!e.dataTransfer.types.includes('Files')) return
+
+            e.preventDefault()
+            e.dataTransfer.dropEffect = 'copy'
+            this.container.classList.add('is-dragover')
+        })
+        this.container.addEventListener('dragleave', e => {
+            if (!this.container.contains(e.relatedTarget)) this.container.classList.remove('is-dragover')
+        })
+        this.container.addEventListener('drop', e => {
+            e.preventDefault()
+            this.container.classList.remove('is-dragover')
+
+            if (e.dataTransfer.files.length > 0) this.readFile(e.dataTransfer.files[0])
+        })
+    }
+
+    /**
+     * Read an automaton file and hand its contents on to be opened
+     *
+     * @param {File} file The file to open
+     */
+    readFile (file) {
+        if (!file.name.toLowerCase().endsWith(`.${FILE_EXTENSION}`)) {
+            return this.dispatchEvent('unsupported', { filename: file.name })
+        }
+
+        file.text().then(text => this.dispatchEvent('open', { filename: file.name, text: text }))
+    }
+}
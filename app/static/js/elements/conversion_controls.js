@@ -0,0 +1,88 @@
+import EventHandler from '../util/event_handler.js'
+
+export default class ConversionControls extends EventHandler {
+    /**
+     * ConversionControls wires up the step, step back, play/pause, run to end and speed
+     * controls of a conversion toolbar that already exists in the DOM
+     *
+     * @param {String} selector The selector for the toolbar element
+     */
+    constructor (selector) {
+        super()
+        this.selector = selector
+
+        this.stepBackwardButton = document.querySelector(`${selector} .step-backward`)
+        this.stepForwardButton = document.querySelector(`${selector} .step-forward`)
+        this.playPauseButton = document.querySelector(`${selector} .play-pause`)
+        this.completeButton = document.querySelector(`${selector} .run-to-end`)
+        this.speedSlider = document.querySelector(`${selector} .speed`)
+        this.modeSelect = document.querySelector(`${selector} .subset-mode`)
+        this.completionSelect = document.querySelector(`${selector} .completion`)
+
+        this.stepBackwardButton.addEventListener('click', () => this.dispatchEvent('stepbackward'))
+        this.stepForwardButton.addEventListener('click', () => this.dispatchEvent('stepforward'))
+        this.completeButton.addEventListener('click', () => this.dispatchEvent('complete'))
+
+        this.playPauseButton.addEventListener('click', () => {
+            this.dispatchEvent(this.playing ? 'pause' : 'play')
+        })
+
+        this.speedSlider.addEventListener('input', () => {
+            this.dispatchEvent('speed', { delay: this.getDelay() })
+        })
+
+        this.setPlaying(false)
+        this.setEnabled(false)
+    }
+
+    /**
+     * Get the delay between animated steps as chosen with the speed slider
+     *
+     * @returns {Number} The delay in milliseconds
+     */
+    getDelay () {
+        // The slider holds the number of steps per second
+        return 1000 / Number(this.speedSlider.value)
+    }
+
+    /**
+     * Get the subset construction mode chosen for the next conversion
+     *
+     * @returns {String} Either 'reachable' or 'powerset'
+     */
+    getMode () {
+        return this.modeSelect.value
+    }
+
+    /**
+     * Whether the next conversion or minimization should produce a complete DFA rather than a partial one
+     *
+     * @returns {Boolean} True if the DFA should keep its trap state
+     */
+    isComplete () {
+        return this.completionSelect.value === 'complete'
+    }
+
+    /**
+     * Enable or disable every button in the toolbar
+     *
+     * @param {Boolean} enabled Whether the buttons can be used
+     */
+    setEnabled (enabled) {
+        this.stepBackwardButton.disabled = !enabled
+        this.stepForwardButton.disabled = !enabled
+        this.playPauseButton.disabled = !enabled
+        this.completeButton.disabled = !enabled
+    }
+
+    /**
+     * Toggle the play/pause button between its two states
+     *
+     * @param {Boolean} playing Whether an animation is currently playing
+     */
+    setPlaying (playing) {
+        this.playing = playing
+        this.playPauseButton.title = playing ? 'Pause' : 'Play'
+        this.playPauseButton.innerHTML = `<i class="mdi ${playing ? 'mdi-pause' : 'mdi-play'}" aria-hidden="true"></i>`
+    }
+}
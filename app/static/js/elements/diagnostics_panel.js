@@ -0,0 +1,80 @@
+import EventHandler from '../util/event_handler.js'
+import { escapeHTML } from '../util/util.js'
+
+export default class DiagnosticsPanel extends EventHandler {
+    /**
+     * DiagnosticsPanel validates the FSA on a canvas whenever it changes, listing the problems that were found
+     * next to the canvas and marking the states they concern with badges
+     *
+     * @param {String} selector The selector for the panel element
+     * @param {VisualFSA} visual The visual FSA to validate
+     */
+    constructor (selector, visual) {
+        super()
+        this.selector = selector
+        this.visual = visual
+
+        this.listElement = document.querySelector(`${selector} .diagnostics-list`)
+        this.blockerElement = document.querySelector(`${selector} .diagnostics-blocker`)
+
+        // diagnostics are the problems found by the last validation
+        this.diagnostics = []
+
+        this.visual.addEventListener('change', () => this.update())
+    }
+
+    /**
+     * Validate the FSA again and show the results
+     */
+    update () {
+        this.diagnostics = this.visual.fsa.validate()
+        this.visual.setDiagnostics(this.diagnostics)
+
+        const tags = { error: 'is-danger', warning: 'is-warning', info: 'is-info' }
+        this.listElement.innerHTML = this.diagnostics.map(e => {
+            return `<li><span class="tag ${tags[e.severity]}">${e.severity}</span> ${escapeHTML(e.message)}</li>`
+        }).join('')
+
+        this.dispatchEvent('update', { diagnostics: this.diagnostics })
+    }
+
+    /**
+     * Get the reason the FSA cannot be converted or minimized, if there is one
+     *
+     * @param {String} type Either 'converter', 'minimize', 'mealy_to_moore' or 'moore_to_mealy'
+     * @returns {String} The reason, or undefined if nothing stands in the way
+     */
+    getConvertBlocker (type) {
+        const error = this.diagnostics.find(e => e.severity === 'error')
+        if (error) return error.message
+
+        if (this.visual.fsa.mode === 'pda') return 'A pushdown automaton can only be simulated'
+
+        // Mealy and Moore machines are only converted into each other
+        const modes = { mealy_to_moore: 'mealy', moore_to_mealy: 'moore' }
+        const names = { acceptor: 'finite automaton', mealy: 'Mealy machine', moore: 'Moore machine' }
+        if (modes[type] && modes[type] !== this.visual.fsa.mode) {
+            return `Only a ${names[modes[type]]} can be converted this way, but this is a ${names[this.visual.fsa.mode]}`
+        }
+        if (!modes[type] && this.visual.fsa.isTransducer()) {
+            return `A ${names[this.visual.fsa.mode]} can only be converted into the other kind of machine`
+        }
+
+        if (type === 'minimize') {
+            const choice = this.diagnostics.find(e => e.type === 'nondeterministic')
+            if (choice) return `Only a DFA can be minimized: ${choice.message}`
+
+            // The only other way to be nondeterministic is to have ε-transitions
+            if (!this.visual.fsa.isDeterministic()) return 'Only a DFA can be minimized, but the automaton has ε-transitions'
+        }
+    }
+
+    /**
+     * Show why the Convert button is disabled
+     *
+     * @param {String} reason The reason, or undefined if the button is enabled
+     */
+    setConvertBlocker (reason) {
+        this.blockerElement.textContent = reason ? `Convert is disabled: ${reason}` : ''
+    }
+}
@@ -6,11 +6,18 @@ export default class EditNodeMenu extends EventHandler {
     *
     * @param {Number} x The x-coordinate of the menu
     * @param {Number} y The y-coordinate of the menu
+    * @param {Boolean} hasOutput Whether the node belongs to a Moore machine and has an output to edit
     */
-    constructor (x, y) {
+    constructor (x, y, hasOutput = false) {
         super()
         this.deletePrevious()
 
+        // Only the states of a Moore machine have an output
+        const outputOption = `
+                <div class="option" id="edit-node-menu-set-output">
+                    <i class="mdi mdi-export" aria-hidden="true" style="color: #f3b75b;"></i>Set output
+                </div>`
+
         document.body.insertAdjacentHTML('beforeend', `
             <div class="edit-menu" id="edit-node-menu">
                 <div class="option" id="edit-node-menu-add-transition">
@@ -22,6 +29,7 @@ export default class EditNodeMenu extends EventHandler {
                 <div class="option" id="edit-node-menu-toggle-accept">
                     <i class="mdi mdi-check-circle" aria-hidden="true" style="color: #72b771;"></i>Toggle as accept state
                 </div>
+                ${hasOutput ? outputOption : ''}
                 <div class="option" id="edit-node-menu-delete">
                     <i class="mdi mdi-minus-circle" aria-hidden="true" style="color: #ff6767;"></i>Delete state
                 </div>
@@ -51,6 +59,12 @@ export default class EditNodeMenu extends EventHandler {
             this.dispatchEvent('toggledaccept')
         })
 
+        if (hasOutput) {
+            document.querySelector('#edit-node-menu-set-output').addEventListener('click', () => {
+                this.dispatchEvent('setoutput')
+            })
+        }
+
         document.querySelector('#edit-node-menu-delete').addEventListener('click', () => {
             this.dispatchEvent('delete')
         })
@@ -0,0 +1,40 @@
+import EventHandler from '../util/event_handler.js'
+import WordSimulator from '../fsa/word_simulator.js'
+import { escapeHTML } from '../util/util.js'
+
+export default class EquivalencePanel extends EventHandler {
+    /**
+     * EquivalencePanel wires up the button that checks whether the automata on both canvases are
+     * equivalent and shows the result
+     *
+     * @param {String} selector The selector for the panel element
+     */
+    constructor (selector) {
+        super()
+        this.selector = selector
+
+        this.resultElement = document.querySelector(`${selector} .equivalence-result`)
+
+        document.querySelector(`${selector} .equivalence-check`).addEventListener('click', () => this.dispatchEvent('check'))
+    }
+
+    /**
+     * Show the result of an equivalence check
+     *
+     * @param {Object} result The result from EquivalenceChecker.check(), or undefined to clear the result
+     * @param {Array} names The names of the two automata that were compared
+     * @param {Array} alphabet The symbols of both automata, which the distinguishing word is written with
+     */
+    setResult (result, names, alphabet) {
+        if (!result) {
+            this.resultElement.innerHTML = ''
+        } else if (result.equivalent) {
+            this.resultElement.innerHTML = `<span class="tag is-success">Equivalent</span> ${escapeHTML(names[0])} and ${escapeHTML(names[1])} accept the same language`
+        } else {
+            const word = result.word.length > 0 ? WordSimulator.join(result.word, alphabet) : 'ε'
+            this.resultElement.innerHTML = `<span class="tag is-danger">Not equivalent</span>
+                The shortest distinguishing word <code>${escapeHTML(word)}</code> is accepted by the ${escapeHTML(names[result.acceptedBy])}
+                but not by the ${escapeHTML(names[1 - result.acceptedBy])}`
+        }
+    }
+}
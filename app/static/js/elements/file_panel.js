@@ -0,0 +1,70 @@
+import EventHandler from '../util/event_handler.js'
+import { FILE_FORMATS, getFileFormat } from '../util/file_formats.js'
+
+export default class FilePanel extends EventHandler {
+    /**
+     * FilePanel lets the user export the automaton on either canvas in one of the file formats, and
+     * import a file or pasted text onto the left canvas
+     *
+     * @param {String} selector The selector for the panel element
+     */
+    constructor (selector) {
+        super()
+        this.selector = selector
+
+        this.sourceSelect = document.querySelector(`${selector} .export-source`)
+        this.formatSelect = document.querySelector(`${selector} .export-format`)
+        this.scaleSelect = document.querySelector(`${selector} .export-scale`)
+        this.fileInput = document.querySelector(`${selector} .import-file`)
+        this.pasteFormatSelect = document.querySelector(`${selector} .import-format`)
+        this.pasteInput = document.querySelector(`${selector} .import-text`)
+
+        const formats = Object.keys(FILE_FORMATS)
+        this.formatSelect.replaceChildren(...formats.filter(e => FILE_FORMATS[e].write).map(e => {
+            return new Option(`${FILE_FORMATS[e].name} (.${FILE_FORMATS[e].extension})`, e)
+        }))
+        this.fileInput.accept = formats.filter(e => FILE_FORMATS[e].read).map(e => `.${FILE_FORMATS[e].extension}`).join(',')
+        this.pasteFormatSelect.replaceChildren(...formats.filter(e => FILE_FORMATS[e].read).map(e => new Option(FILE_FORMATS[e].name, e)))
+
+        // Only images drawn pixel by pixel have a scale
+        this.formatSelect.addEventListener('change', () => this.updateScale())
+        this.updateScale()
+
+        document.querySelector(`${selector} .export-run`).addEventListener('click', () => this.dispatchEvent('export', {
+            source: this.sourceSelect.value,
+            format: this.formatSelect.value,
+            scale: Number(this.scaleSelect.value)
+        }))
+
+        this.fileInput.addEventListener('change', () => {
+            if (this.fileInput.files.length > 0) this.readFile(this.fileInput.files[0])
+
+            // Allow the same file to be imported again
+            this.fileInput.value = ''
+        })
+
+        document.querySelector(`${selector} .import-paste`).addEventListener('click', () => {
+            if (this.pasteInput.value.trim() === '') return
+
+            this.dispatchEvent('import', { format: this.pasteFormatSelect.value, text: this.pasteInput.value })
+        })
+    }
+
+    /**
+     * Show the scale of the export only for formats that have one
+     */
+    updateScale () {
+        const format = FILE_FORMATS[this.formatSelect.value]
+        this.scaleSelect.parentElement.parentElement.style.display = format && format.scalable ? '' : 'none'
+    }
+
+    /**
+     * Read a file and hand its contents on to be imported, in the format its extension stands for
+     *
+     * @param {File} file The file to import
+     */
+    readFile (file) {
+        const format = Object.keys(FILE_FORMATS).find(e => FILE_FORMATS[e] === getFileFormat(file.name))
+        file.text().then(text => this.dispatchEvent('import', { filename: file.name, format: format, text: text }))
+    }
+}
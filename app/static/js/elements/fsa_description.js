@@ -1,3 +1,5 @@
+import { parsePDALabel } from '../fsa/pda.js'
+
 export default class FSADescription {
     constructor (selector) {
         this.selector = selector
@@ -7,6 +9,7 @@ export default class FSADescription {
         this.alphabetSelector = `${selector} .alphabet`
         this.acceptStatesSelector = `${selector} .acceptStates`
         this.startStateSelector = `${selector} .startState`
+        this.distinguishabilitySelector = `${selector} .distinguishability`
 
         this.reset()
     }
@@ -16,6 +19,7 @@ export default class FSADescription {
         document.querySelector(this.alphabetSelector).innerHTML = ''
         document.querySelector(this.acceptStatesSelector).innerHTML = ''
         document.querySelector(this.startStateSelector).innerHTML = ''
+        this.updateDistinguishability(undefined)
         document.querySelector(this.tableSelector).innerHTML = `
             <thead>
                 <tr>
@@ -53,7 +57,8 @@ export default class FSADescription {
         let startState = fsaCopy.startState
         let acceptStates = fsaCopy.acceptStates
 
-        if (!isNFA) {
+        // The states of a converted Mealy or Moore machine are not sets of states
+        if (!isNFA && !fsa.isTransducer()) {
             states = fsaCopy.states.map(e => `{${e}}`)
             startState = `{${fsaCopy.startState}}`
             acceptStates = fsaCopy.acceptStates.map(e => `{${e}}`)
@@ -64,36 +69,139 @@ export default class FSADescription {
         document.querySelector(this.acceptStatesSelector).innerHTML = `{${acceptStates.join(', ')}}`
         document.querySelector(this.startStateSelector).innerHTML = startState || ''
 
+        const table = FSADescription.getTable(fsa, isNFA)
+        const outputStart = table.header.length - table.outputColumns
+
+        document.querySelector(this.tableSelector).innerHTML = `
+        <thead>
+            <tr>
+                ${table.header.map((e, i) => `<th${i >= outputStart ? ' class="output-column"' : ''}>${e}</th>`).join('')}
+            </tr>
+        </thead>
+        <tbody>
+        ${table.rows.map(r => `<tr>${r.map(t => `<td>${t}</td>`).join('')}</tr>`).join('')}
+        </tbody>`
+    }
+
+    /**
+     * Get the cells of the δ table of an FSA, which is also used to export the table
+     *
+     * @param {FSA} fsa The FSA
+     * @param {Boolean} isNFA Whether the FSA is an NFA, whose table has a column for ε
+     * @returns {Object} The header, the rows (each starting with its marked state), and the number of output columns at the end
+     */
+    static getTable (fsa, isNFA) {
+        if (fsa.mode === 'pda') return FSADescription.getPDATable(fsa)
+
         const rows = []
-        const alphabet = fsaCopy.alphabet
+        const alphabet = fsa.alphabet.filter(e => e !== 'ε')
         if (isNFA) {
             alphabet.push('ε')
         }
 
-        for (const state of fsaCopy.states) {
-            const transitions = [state]
+        const outputColumns = FSADescription.getOutputColumns(fsa)
+        for (const state of fsa.states) {
+            // The start state is marked with → and accept states with *
+            const marker = (fsa.startState === state ? '→' : '') + (fsa.acceptStates.includes(state) ? '*' : '')
+
+            const transitions = [marker + state]
             for (let i = 0; i < alphabet.length; i++) {
                 const symbol = alphabet[i]
-                if (fsaCopy.transitions[state] && fsaCopy.transitions[state][symbol]) {
-                    transitions.push(fsaCopy.transitions[state][symbol].join(', '))
+                if (fsa.transitions[state] && fsa.transitions[state][symbol]) {
+                    transitions.push(fsa.transitions[state][symbol].join(', '))
                 } else {
                     transitions.push('')
                 }
             }
+
+            // Mealy machines have an output for every symbol, Moore machines a single output for the state
+            transitions.push(...outputColumns.map(e => e.getOutput(state) || 'ε'))
             rows.push(transitions)
         }
 
-        document.querySelector(this.tableSelector).innerHTML = `
-        <thead>
+        return {
+            header: ['', ...alphabet, ...outputColumns.map(e => e.header)],
+            rows: rows,
+            outputColumns: outputColumns.length
+        }
+    }
+
+    /**
+     * Get the transitions of a PDA as the rows of a table, since they depend on the stack as well as the input
+     *
+     * @param {FSA} fsa The FSA in PDA mode, whose transitions are keyed by their labels
+     * @returns {Object} The header, the rows, and the number of output columns, which is 0
+     */
+    static getPDATable (fsa) {
+        const rows = []
+        for (const state of fsa.states) {
+            for (const label of Object.keys(fsa.transitions[state] || {})) {
+                let transitions
+                try {
+                    transitions = parsePDALabel(label)
+                } catch (e) {
+                    // Labels from before the switch to PDA mode are shown as they are
+                    transitions = [{ input: label, pop: '', push: [] }]
+                }
+
+                for (const to of fsa.transitions[state][label]) {
+                    for (const transition of transitions) {
+                        const push = transition.push.join(transition.push.some(e => e.length > 1) ? ' ' : '')
+                        rows.push([state, transition.input, transition.pop, to, push || 'ε'])
+                    }
+                }
+            }
+        }
+
+        return { header: ['State', 'Input', 'Pop', 'Next state', 'Push'], rows: rows, outputColumns: 0 }
+    }
+
+    /**
+     * Get the output columns of a Mealy or Moore machine's table
+     *
+     * @param {FSA} fsa The FSA
+     * @returns {Array} The columns, each with a header and a function that returns the output of a state
+     */
+    static getOutputColumns (fsa) {
+        if (fsa.mode === 'mealy') {
+            return fsa.alphabet.filter(e => e !== 'ε').map(symbol => ({
+                header: `λ(${symbol})`,
+                getOutput: state => (fsa.transitions[state] || {})[symbol] ? fsa.getTransitionOutput(state, symbol) : '–'
+            }))
+        }
+
+        if (fsa.mode === 'moore') return [{ header: 'λ', getOutput: state => fsa.getStateOutput(state) }]
+
+        return []
+    }
+
+    /**
+     * Render the distinguishability table of a minimization as its lower triangle
+     *
+     * @param {Object} table The table from DFAMinimizer.getDistinguishabilityTable(), or undefined to hide it
+     */
+    updateDistinguishability (table) {
+        const elem = document.querySelector(this.distinguishabilitySelector)
+        if (!elem) return
+
+        if (!table) {
+            elem.innerHTML = ''
+            return
+        }
+
+        // Marked pairs show the round in which they were found to be distinguishable
+        const cell = round => round === undefined ? '<td></td>' : `<td class="marked">×<sub>${round}</sub></td>`
+
+        elem.innerHTML = `
+        <div>Distinguishable pairs =</div>
+        <table class="table is-bordered is-narrow">
+            <tbody>
+            ${table.rows.map((r, i) => `<tr><th>{${table.states[i + 1]}}</th>${r.map(cell).join('')}</tr>`).join('')}
             <tr>
                 <th></th>
-                ${alphabet.map(e => `<th>${e}</th>`).join('')}
+                ${table.states.slice(0, -1).map(e => `<th>{${e}}</th>`).join('')}
             </tr>
-        </thead>
-        <tbody>
-        ${rows.map(r => {
-        return `<tr>${r.map(t => `<td>${t}</td>`).join('')}</tr>`
-    }).join('')}
-        </tbody>`
+            </tbody>
+        </table>`
     }
 }
@@ -0,0 +1,87 @@
+import LanguageAnalyzer from '../fsa/language_analyzer.js'
+import WordSimulator from '../fsa/word_simulator.js'
+import { escapeHTML } from '../util/util.js'
+
+export default class LanguagePanel {
+    /**
+     * LanguagePanel reports on the language of the automaton on one of the canvases: whether it is empty,
+     * finite or infinite, how many words of each length it accepts and which words come first. The report
+     * is refreshed whenever the automaton changes.
+     *
+     * @param {String} selector The selector for the panel element
+     * @param {Object} visuals A map of source names to the visual FSAs that can be analyzed
+     */
+    constructor (selector, visuals) {
+        this.selector = selector
+        this.visuals = visuals
+
+        this.sourceSelect = document.querySelector(`${selector} .language-source`)
+        this.lengthInput = document.querySelector(`${selector} .language-length`)
+        this.limitInput = document.querySelector(`${selector} .language-limit`)
+        this.reportElement = document.querySelector(`${selector} .language-report`)
+
+        for (const input of [this.sourceSelect, this.lengthInput, this.limitInput]) {
+            input.addEventListener('change', () => this.update())
+        }
+
+        for (const name of Object.keys(visuals)) {
+            visuals[name].addEventListener('change', () => {
+                if (this.sourceSelect.value === name) this.update()
+            })
+        }
+
+        this.update()
+    }
+
+    /**
+     * Read a non-negative whole number from an input, falling back to its default value
+     *
+     * @param {HTMLInputElement} input The input element
+     * @returns {Number} The number
+     */
+    getNumber (input) {
+        const value = parseInt(input.value)
+        return Number.isNaN(value) || value < 0 ? parseInt(input.defaultValue) : value
+    }
+
+    /**
+     * Analyze the chosen automaton and render the report
+     */
+    update () {
+        const fsa = this.visuals[this.sourceSelect.value].fsa
+        if (fsa.states.length === 0 || fsa.startState === undefined) {
+            this.reportElement.innerHTML = '<p>There is no automaton with a start state to analyze</p>'
+            return
+        }
+        if (fsa.isTransducer()) {
+            this.reportElement.innerHTML = '<p>A Mealy or Moore machine has no accept states, so it has no language to analyze</p>'
+            return
+        }
+        if (fsa.mode === 'pda') {
+            this.reportElement.innerHTML = '<p>The language of a pushdown automaton cannot be analyzed, only simulated</p>'
+            return
+        }
+
+        const format = word => word === undefined ? 'none' : `<code>${word.length > 0 ? escapeHTML(WordSimulator.join(word, fsa.alphabet)) : 'ε'}</code>`
+
+        // An automaton that is still being edited or converted may have transitions to unknown states
+        try {
+            const analyzer = new LanguageAnalyzer(fsa)
+            const kind = analyzer.isEmpty() ? 'empty' : (analyzer.isFinite() ? 'finite' : 'infinite')
+            const counts = analyzer.countWords(this.getNumber(this.lengthInput))
+            const words = analyzer.enumerate(this.getNumber(this.limitInput))
+
+            this.reportElement.innerHTML = `
+            <p>The language is <span class="tag ${kind === 'infinite' ? 'is-info' : 'is-light'}">${kind}</span></p>
+            <p>Shortest accepted word: ${format(analyzer.getShortestAcceptedWord())}</p>
+            <p>Shortest rejected word: ${format(analyzer.getShortestRejectedWord())}</p>
+            <table class="table is-bordered is-narrow">
+                <tr><th>Length</th>${counts.map((count, length) => `<td>${length}</td>`).join('')}</tr>
+                <tr><th>Accepted words</th>${counts.map(count => `<td>${count}</td>`).join('')}</tr>
+            </table>
+            <p>First accepted words: ${words.length > 0 ? words.map(format).join(', ') : 'none'}</p>`
+        } catch (e) {
+            this.reportElement.innerHTML = `<span class="tag is-warning">${escapeHTML(e.message)}</span>`
+        }
+    }
+}
@@ -0,0 +1,82 @@
+import EventHandler from '../util/event_handler.js'
+
+export default class OperationsPanel extends EventHandler {
+    /**
+     * OperationsPanel wires up the controls that save automata and combine saved automata with
+     * Boolean and regular operations
+     *
+     * @param {String} selector The selector for the panel element
+     * @param {AutomatonLibrary} library The library of saved automata
+     */
+    constructor (selector, library) {
+        super()
+        this.selector = selector
+        this.library = library
+
+        this.nameInput = document.querySelector(`${selector} .library-name`)
+        this.sourceSelect = document.querySelector(`${selector} .library-source`)
+        this.operationSelect = document.querySelector(`${selector} .operation`)
+        this.operandSelects = document.querySelectorAll(`${selector} .operand`)
+        this.targetSelect = document.querySelector(`${selector} .operation-target`)
+
+        document.querySelector(`${selector} .library-save`).addEventListener('click', () => {
+            this.dispatchEvent('save', { name: this.nameInput.value, source: this.sourceSelect.value })
+        })
+        document.querySelector(`${selector} .library-delete`).addEventListener('click', () => {
+            this.dispatchEvent('delete', { name: this.operandSelects[0].value })
+        })
+        document.querySelector(`${selector} .operation-apply`).addEventListener('click', () => this.submit())
+
+        // Unary operations only take the first operand, and ε-NFAs can only be loaded into the NFA canvas
+        this.operationSelect.addEventListener('change', () => this.update())
+
+        this.update()
+    }
+
+    /**
+     * Check whether the chosen operation takes a single operand
+     *
+     * @returns {Boolean} True if the operation is unary
+     */
+    isUnary () {
+        return this.operationSelect.selectedOptions[0].dataset.arity === '1'
+    }
+
+    /**
+     * Check whether the chosen operation builds an ε-NFA rather than a DFA
+     *
+     * @returns {Boolean} True if the result is an ε-NFA
+     */
+    isNFAResult () {
+        return this.operationSelect.selectedOptions[0].dataset.result === 'nfa'
+    }
+
+    submit () {
+        const operands = [...this.operandSelects].map(e => e.value)
+
+        this.dispatchEvent('apply', {
+            operation: this.operationSelect.value,
+            operands: this.isUnary() ? operands.slice(0, 1) : operands,
+            target: this.targetSelect.value
+        })
+    }
+
+    /**
+     * Refresh the operand lists from the library of saved automata
+     */
+    update () {
+        const names = this.library.getNames()
+
+        this.operandSelects.forEach((select, i) => {
+            const selected = select.value
+            select.replaceChildren(...names.map(e => new Option(e)))
+            if (names.includes(selected)) select.value = selected
+            else if (names.length > 1) select.value = names[Math.min(i, names.length - 1)]
+
+            select.disabled = names.length === 0 || (i > 0 && this.isUnary())
+        })
+
+        if (this.isNFAResult()) this.targetSelect.value = 'nfa'
+        this.targetSelect.disabled = this.isNFAResult()
+    }
+}
@@ -0,0 +1,28 @@
+import EventHandler from '../util/event_handler.js'
+
+export default class RegexInput extends EventHandler {
+    /**
+     * RegexInput wires up the regular expression field that builds an NFA with Thompson's construction
+     *
+     * @param {String} selector The selector for the field element
+     */
+    constructor (selector) {
+        super()
+        this.selector = selector
+
+        this.regexInput = document.querySelector(`${selector} .regex`)
+        this.animateCheckbox = document.querySelector(`${selector} .regex-animate`)
+
+        document.querySelector(`${selector} .regex-build`).addEventListener('click', () => this.submit())
+        this.regexInput.addEventListener('keydown', e => {
+            if (e.key === 'Enter') this.submit()
+        })
+    }
+
+    submit () {
+        this.dispatchEvent('submit', {
+            regex: this.regexInput.value,
+            animate: this.animateCheckbox.checked
+        })
+    }
+}
@@ -0,0 +1,71 @@
+import EventHandler from '../util/event_handler.js'
+
+export default class SaveDialog extends EventHandler {
+    /**
+     * SaveDialog asks for the title, author and notes of an automaton before it is saved to a file
+     *
+     * @param {String} selector The selector for the modal element
+     */
+    constructor (selector) {
+        super()
+        this.selector = selector
+
+        this.modal = document.querySelector(selector)
+        this.titleInput = document.querySelector(`${selector} .file-title`)
+        this.authorInput = document.querySelector(`${selector} .file-author`)
+        this.notesInput = document.querySelector(`${selector} .file-notes`)
+
+        // source is the canvas ('nfa' or 'dfa') whose automaton is being saved
+        this.source = undefined
+
+        document.querySelector(`${selector} .save-confirm`).addEventListener('click', () => this.confirm())
+        for (const element of document.querySelectorAll(`${selector} .modal-background, ${selector} .save-cancel`)) {
+            element.addEventListener('click', () => this.close())
+        }
+
+        this.titleInput.addEventListener('keyup', e => {
+            if (e.key === 'Enter') this.confirm()
+        })
+        this.modal.addEventListener('keyup', e => {
+            if (e.key === 'Escape') this.close()
+        })
+    }
+
+    /**
+     * Open the dialog for the automaton on a canvas
+     *
+     * @param {String} source The canvas whose automaton is saved ('nfa' or 'dfa')
+     * @param {Object} metadata The title, author and notes the automaton already has
+     */
+    open (source, metadata) {
+        this.source = source
+        this.titleInput.value = metadata.title
+        this.authorInput.value = metadata.author
+        this.notesInput.value = metadata.notes
+
+        this.modal.classList.add('is-active')
+        this.titleInput.focus()
+    }
+
+    /**
+     * Close the dialog without saving
+     */
+    close () {
+        this.modal.classList.remove('is-active')
+    }
+
+    /**
+     * Close the dialog and hand on the metadata to save the automaton with
+     */
+    confirm () {
+        this.close()
+        this.dispatchEvent('save', {
+            source: this.source,
+            metadata: {
+                title: this.titleInput.value.trim(),
+                author: this.authorInput.value.trim(),
+                notes: this.notesInput.value.trim()
+            }
+        })
+    }
+}
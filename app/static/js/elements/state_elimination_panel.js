@@ -0,0 +1,47 @@
+import EventHandler from '../util/event_handler.js'
+
+export default class StateEliminationPanel extends EventHandler {
+    /**
+     * StateEliminationPanel wires up the controls that convert an automaton into a regular expression
+     *
+     * @param {String} selector The selector for the panel element
+     */
+    constructor (selector) {
+        super()
+        this.selector = selector
+
+        this.sourceSelect = document.querySelector(`${selector} .elimination-source`)
+        this.orderInput = document.querySelector(`${selector} .elimination-order`)
+        this.resultElement = document.querySelector(`${selector} .elimination-result`)
+
+        document.querySelector(`${selector} .elimination-run`).addEventListener('click', () => this.submit())
+        this.orderInput.addEventListener('keydown', e => {
+            if (e.key === 'Enter') this.submit()
+        })
+    }
+
+    /**
+     * Get the elimination order typed by the user
+     *
+     * @returns {Array} The states in the order they should be eliminated
+     */
+    getOrder () {
+        return this.orderInput.value.split(',').map(e => e.trim()).filter(e => e.length > 0)
+    }
+
+    submit () {
+        this.dispatchEvent('submit', {
+            source: this.sourceSelect.value,
+            order: this.getOrder()
+        })
+    }
+
+    /**
+     * Show the resulting regular expression
+     *
+     * @param {String} regex The regular expression, or undefined to clear the result
+     */
+    setResult (regex) {
+        this.resultElement.innerHTML = regex !== undefined ? `<code>${regex}</code>` : ''
+    }
+}
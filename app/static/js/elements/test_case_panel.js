@@ -0,0 +1,125 @@
+import TestSuite from '../fsa/test_suite.js'
+import { showWarning, escapeHTML } from '../util/util.js'
+
+export default class TestCasePanel {
+    /**
+     * TestCasePanel lets the user attach test cases to a visual FSA and run them against
+     * several automata at once, showing a pass/fail table
+     *
+     * @param {String} selector The selector for the panel element
+     * @param {VisualFSA} visual The visual FSA that stores the test cases
+     * @param {Function} getAutomata Returns a map of names to the FSAs the test cases are run against
+     * @param {Function} getStepBound Returns the step bound for running words through pushdown automata
+     */
+    constructor (selector, visual, getAutomata, getStepBound) {
+        this.selector = selector
+        this.visual = visual
+        this.getAutomata = getAutomata
+        this.getStepBound = getStepBound
+
+        this.wordInput = document.querySelector(`${selector} .test-word`)
+        this.expectedSelect = document.querySelector(`${selector} .test-expected`)
+        this.tableElement = document.querySelector(`${selector} .test-table`)
+        this.summaryElement = document.querySelector(`${selector} .test-summary`)
+
+        document.querySelector(`${selector} .test-add`).addEventListener('click', () => this.addTestCase())
+        document.querySelector(`${selector} .test-run`).addEventListener('click', () => this.run())
+        this.wordInput.addEventListener('keydown', e => {
+            if (e.key === 'Enter') this.addTestCase()
+        })
+
+        // Previous results are stale once the automaton changes
+        this.visual.addEventListener('change', () => this.update())
+
+        this.update()
+    }
+
+    /**
+     * Add the test case in the input fields to the visual FSA
+     */
+    addTestCase () {
+        new TestSuite(this.visual.tests).add(this.wordInput.value, this.expectedSelect.value === 'accept')
+        this.wordInput.value = ''
+        this.update()
+    }
+
+    /**
+     * Run the test cases and display the results
+     */
+    run () {
+        const automata = this.getAutomata()
+        if (Object.keys(automata).length === 0) {
+            showWarning('There is no automaton to run the test cases against')
+            return
+        }
+
+        try {
+            this.update(new TestSuite(this.visual.tests).run(automata, this.getStepBound()), Object.keys(automata))
+        } catch (e) {
+            showWarning(e.message)
+        }
+    }
+
+    /**
+     * Render the table of test cases, along with their results if they were run
+     *
+     * @param {Array} results The results from TestSuite.run(), if any
+     * @param {Array} names The names of the automata the test cases were run against
+     */
+    update (results, names = []) {
+        const verdict = accept => accept === undefined ? 'undecided' : (accept ? 'accept' : 'reject')
+
+        const rows = this.visual.tests.map((testCase, i) => {
+            const result = results && results[i]
+            const word = testCase.word.length > 0 ? testCase.word : 'ε'
+
+            let cells = names.map(() => '<td></td>').join('') + '<td></td><td></td>'
+            if (result) {
+                const divergence = result.divergence
+                    ? `symbol ${result.divergence.index + 1} (${escapeHTML(result.divergence.symbol)})`
+                    : (result.passed || result.undecided ? '' : 'end of word')
+                const outcome = result.passed
+                    ? '<span class="tag is-success">pass</span>'
+                    : (result.undecided ? '<span class="tag is-warning">undecided</span>' : '<span class="tag is-danger">fail</span>')
+
+                cells = names.map(e => `<td>${verdict(result.verdicts[e])}</td>`).join('') +
+                    `<td>${outcome}</td>` +
+                    `<td>${divergence}</td>`
+            }
+
+            return `<tr>
+                <td>${escapeHTML(word)}</td>
+                <td>${verdict(testCase.accept)}</td>
+                ${cells}
+                <td><button class="delete test-delete" data-index="${i}" title="Delete test case"></button></td>
+            </tr>`
+        })
+
+        this.tableElement.innerHTML = `
+        <thead>
+            <tr>
+                <th>Word</th>
+                <th>Expected</th>
+                ${names.map(e => `<th>${escapeHTML(e)}</th>`).join('')}
+                <th>Result</th>
+                <th>First divergence</th>
+                <th></th>
+            </tr>
+        </thead>
+        <tbody>${rows.join('')}</tbody>`
+
+        this.tableElement.querySelectorAll('.test-delete').forEach(e => e.addEventListener('click', () => {
+            new TestSuite(this.visual.tests).remove(Number(e.dataset.index))
+            this.update()
+        }))
+
+        if (results) {
+            const passed = results.filter(e => e.passed).length
+            const undecided = results.filter(e => e.undecided).length
+            this.summaryElement.innerHTML = `${passed} of ${results.length} test cases passed` +
+                (undecided > 0 ? `, ${undecided} undecided within the step bound` : '')
+        } else {
+            this.summaryElement.innerHTML = ''
+        }
+    }
+}
@@ -0,0 +1,183 @@
+import EventHandler from '../util/event_handler.js'
+import WordSimulator from '../fsa/word_simulator.js'
+import PDASimulator from '../fsa/pda_simulator.js'
+import PDA from '../fsa/pda.js'
+import { escapeHTML } from '../util/util.js'
+
+// The step bound for pushdown automata if none is given
+const DEFAULT_STEP_BOUND = 100
+
+// The largest number of PDA configurations listed below the tape
+const CONFIGURATION_LIMIT = 5
+
+export default class WordSimulatorPanel extends EventHandler {
+    /**
+     * WordSimulatorPanel wires up the input word box below a canvas so that words can be stepped
+     * through the canvas's FSA while the active states are highlighted. The runs of a PDA are explored
+     * breadth-first up to the step bound in the panel, with their stacks drawn beside the diagram.
+     *
+     * @param {String} selector The selector for the panel element
+     * @param {VisualFSA} visual The visual FSA to simulate words on
+     */
+    constructor (selector, visual) {
+        super()
+        this.selector = selector
+        this.visual = visual
+
+        this.wordInput = document.querySelector(`${selector} .word`)
+        this.tapeElement = document.querySelector(`${selector} .simulation-tape`)
+        this.resultElement = document.querySelector(`${selector} .simulation-result`)
+        this.boundInput = document.querySelector(`${selector} .simulation-bound`)
+
+        this.wordInput.addEventListener('keydown', e => {
+            if (e.key === 'Enter') this.start()
+        })
+
+        document.querySelector(`${selector} .simulation-reset`).addEventListener('click', () => this.move(s => s.reset()))
+        document.querySelector(`${selector} .simulation-back`).addEventListener('click', () => this.move(s => s.stepBackward()))
+        document.querySelector(`${selector} .simulation-forward`).addEventListener('click', () => this.move(s => s.stepForward()))
+        document.querySelector(`${selector} .simulation-end`).addEventListener('click', () => this.move(s => s.complete()))
+
+        // The simulation no longer matches the FSA once it has been edited
+        this.visual.addEventListener('change', () => {
+            if (this.simulator) this.stop()
+        })
+    }
+
+    /**
+     * Put the given word into the input box and start simulating it
+     *
+     * @param {String} word The input word
+     */
+    setWord (word) {
+        this.wordInput.value = word
+        this.start()
+    }
+
+    /**
+     * Get the step bound for pushdown automata entered in the panel
+     *
+     * @returns {Number} The largest number of steps to explore
+     */
+    getStepBound () {
+        return Number(this.boundInput.value) || DEFAULT_STEP_BOUND
+    }
+
+    /**
+     * Start simulating the word in the input box from its first symbol
+     */
+    start () {
+        const fsa = this.visual.fsa
+
+        try {
+            this.simulator = fsa.mode === 'pda'
+                ? new PDASimulator(PDA.fromFSA(fsa), this.wordInput.value, this.getStepBound())
+                : new WordSimulator(fsa, this.wordInput.value)
+        } catch (e) {
+            this.stop()
+            this.resultElement.innerHTML = `<span class="tag is-warning">${escapeHTML(e.message)}</span>`
+            return
+        }
+
+        this.update()
+    }
+
+    /**
+     * Move the simulation with the given function, starting a simulation first if there is none
+     *
+     * @param {Function} fn The function that moves the WordSimulator
+     */
+    move (fn) {
+        if (!this.simulator) this.start()
+        if (!this.simulator) return
+
+        fn(this.simulator)
+        this.update()
+    }
+
+    /**
+     * Stop the simulation and remove the highlighted states from the canvas
+     */
+    stop () {
+        this.simulator = undefined
+        this.tapeElement.innerHTML = ''
+        this.resultElement.innerHTML = ''
+        this.visual.setHighlightedStates([])
+        this.visual.setStacks([])
+        this.visual.render()
+    }
+
+    /**
+     * Display the current position of the simulation on the tape and the canvas
+     */
+    update () {
+        if (this.simulator instanceof PDASimulator) return this.updatePDA()
+
+        const sim = this.simulator
+        const active = sim.getActiveStates()
+
+        this.tapeElement.innerHTML = sim.symbols.map((e, i) => {
+            const status = i < sim.position ? 'read' : (i === sim.position ? 'current' : '')
+            return `<span class="symbol ${status}">${escapeHTML(e)}</span>`
+        }).join('') || '<span class="symbol current">ε</span>'
+
+        // The states of a converted Mealy or Moore machine are not sets of states
+        const isSubset = this.visual.isDFA && !sim.fsa.isTransducer()
+
+        let result = escapeHTML(`Active states: {${active.map(e => isSubset ? `{${e}}` : e).join(', ')}}`)
+        if (sim.fsa.isTransducer()) {
+            result += ` Output: <span class="simulation-output">${escapeHTML(sim.getOutput() || 'ε')}</span>`
+            if (active.length === 0) result += ' <span class="tag is-danger">Stuck</span>'
+        } else if (sim.isFinished()) {
+            result += sim.isAccepted()
+                ? ' <span class="tag is-success">Accepted</span>'
+                : ' <span class="tag is-danger">Rejected</span>'
+        } else if (active.length === 0) {
+            result += ' <span class="tag is-danger">Stuck</span>'
+        }
+        this.resultElement.innerHTML = result
+
+        this.visual.setHighlightedStates(active, !sim.fsa.isTransducer() && sim.isFinished() && !sim.isAccepted())
+        this.visual.render()
+        this.dispatchEvent('update', sim)
+    }
+
+    /**
+     * Display the current step of a PDA's simulation, with the configurations it has reached and their stacks
+     */
+    updatePDA () {
+        const sim = this.simulator
+        const configurations = sim.getConfigurations()
+
+        // The tape shows how far the furthest run has read
+        const read = Math.max(0, ...configurations.map(e => e.position))
+        this.tapeElement.innerHTML = sim.symbols.map((e, i) => {
+            const status = i < read ? 'read' : (i === read ? 'current' : '')
+            return `<span class="symbol ${status}">${escapeHTML(e)}</span>`
+        }).join('') || '<span class="symbol current">ε</span>'
+
+        // A configuration is written as (state, remaining input, stack with its top first)
+        const describe = e => escapeHTML(`(${e.state}, ${WordSimulator.join(sim.symbols.slice(e.position), sim.pda.getInputAlphabet()) || 'ε'}, ${[...e.stack].reverse().join('') || 'ε'})`)
+
+        let result = `Step ${sim.position}: ${configurations.length} configuration${configurations.length === 1 ? '' : 's'} `
+        result += configurations.slice(0, CONFIGURATION_LIMIT).map(describe).join(', ')
+        if (configurations.length > CONFIGURATION_LIMIT) result += ', …'
+
+        if (sim.isFinished()) {
+            const tags = {
+                accepted: '<span class="tag is-success">Accepted</span>',
+                rejected: '<span class="tag is-danger">Rejected</span>',
+                undecided: `<span class="tag is-warning">Undecided after ${sim.frames.length - 1} steps</span>`
+            }
+            result += ` ${tags[sim.result]}`
+
+            if (sim.isAccepted()) result += `<br>Accepting run: ${sim.getAcceptingRun().map(describe).join(' ⊢ ')}`
+        }
+        this.resultElement.innerHTML = result
+
+        this.visual.setHighlightedStates(sim.getActiveStates(), sim.isFinished() && sim.result === 'rejected')
+        this.visual.setStacks(configurations.map(e => ({ label: e.state, symbols: e.stack })))
+        this.visual.render()
+        this.dispatchEvent('update', sim)
+    }
+}
@@ -1,6 +1,13 @@
 import EventHandler from '../util/event_handler.js'
 
 export default class AnimatedNFAConverter extends EventHandler {
+    /**
+     * AnimatedNFAConverter drives an NFAConverter step by step and mirrors every step onto the visual DFA
+     *
+     * @param {NFAConverter} converter The converter performing the steps
+     * @param {VisualFSA} visualDFA The visual FSA that displays the result of each step
+     * @param {Number} speed The delay between steps while playing (in milliseconds)
+     */
     constructor (converter, visualDFA, speed) {
         super()
         this.converter = converter
@@ -8,34 +15,132 @@ export default class AnimatedNFAConverter extends EventHandler {
         this.speed = speed
     }
 
+    /**
+     * Whether the converter is currently being played automatically
+     *
+     * @returns {Boolean} True if the animation is playing
+     */
+    isPlaying () {
+        return this.interval !== undefined
+    }
+
     stop () {
         if (this.interval) {
             clearInterval(this.interval)
+            this.interval = undefined
             this.dispatchEvent('stop')
         }
     }
 
+    /**
+     * Display the description of the given step above the visual DFA
+     *
+     * @param {Object} step The step to describe, or undefined to clear the description
+     */
+    describe (step) {
+        document.querySelector('#dfa-conversion-step').innerHTML = step ? step.desc : ''
+    }
+
+    /**
+     * Get the steps of the conversion that have been performed so far
+     *
+     * @returns {Array} The steps, oldest first
+     */
+    getSteps () {
+        return this.converter.steps.map(e => e[1])
+    }
+
+    /**
+     * Perform the next step of the conversion
+     *
+     * @param {Function} onError The function to call if the step fails
+     * @returns {Boolean} Whether a step was performed
+     */
     step (onError) {
         try {
             const [newDFA, step] = this.converter.stepForward()
             if (newDFA && step) {
                 this.visualDFA.performStep(step, newDFA)
-                document.querySelector('#dfa-conversion-step').innerHTML = step.desc
+                this.describe(step)
+                this.dispatchEvent('step', step)
+                return true
             } else {
                 this.stop()
                 this.dispatchEvent('complete')
             }
         } catch (e) {
-            onError(e)
+            if (onError) onError(e)
+            this.stop()
+        }
+
+        return false
+    }
+
+    /**
+     * Undo the previous step of the conversion
+     *
+     * @param {Function} onError The function to call if undoing the step fails
+     * @returns {Boolean} Whether a step was undone
+     */
+    stepBackward (onError) {
+        try {
+            const result = this.converter.stepBackward()
+            if (!result) return false
+
+            const [prevDFA, prevStep] = result
+            this.visualDFA.undoStep(prevStep, prevDFA)
+
+            // Describe the step that is now the most recent one
+            const steps = this.converter.steps
+            this.describe(steps.length > 0 ? steps[steps.length - 1][1] : undefined)
+            this.dispatchEvent('step', prevStep)
+            return true
+        } catch (e) {
+            if (onError) onError(e)
             this.stop()
         }
+
+        return false
     }
 
     play (onError) {
-        this.dispatchEvent('start')
-        this.step()
+        this.stop()
+        this.onError = onError
+
+        // The animation only starts playing once its first step has been taken, which may fail or finish it
+        if (!this.step(onError)) return
+
         this.interval = setInterval(() => {
             this.step(onError)
         }, this.speed)
+        this.dispatchEvent('start')
+    }
+
+    /**
+     * Change the delay between steps, restarting the animation if it is playing
+     *
+     * @param {Number} speed The new delay between steps (in milliseconds)
+     */
+    setSpeed (speed) {
+        this.speed = speed
+
+        if (this.interval) {
+            clearInterval(this.interval)
+            this.interval = setInterval(() => {
+                this.step(this.onError)
+            }, this.speed)
+        }
+    }
+
+    /**
+     * Perform every remaining step of the conversion without delay
+     *
+     * @param {Function} onError The function to call if a step fails
+     */
+    complete (onError) {
+        this.stop()
+
+        let performed = true
+        while (performed) { performed = this.step(onError) }
     }
 }
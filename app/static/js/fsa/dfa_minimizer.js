@@ -0,0 +1,506 @@
+import FSA from './fsa.js'
+
+export default class DFAMinimizer {
+    /**
+     * DFAMinimizer minimizes the given DFA in incremental steps with the table-filling algorithm:
+     *
+     * 1. Remove the states that cannot be reached from the start state
+     * 2. Complete the DFA with a trap state if some transitions are missing
+     * 3. Mark every pair of an accept state and a non-accept state as distinguishable
+     * 4. Repeatedly mark the pairs whose transitions on some symbol lead to a marked pair
+     * 5. Merge every class of states that were never marked into a single state
+     * 6. For a partial DFA, delete the trap state again
+     *
+     * @param {FSA} dfa The DFA to minimize
+     * @param {Object} options The minimization options
+     * @param {Boolean} options.complete Whether the minimal DFA keeps its trap state or is left partial
+     */
+    constructor (dfa, options = {}) {
+        this.input = dfa
+
+        // keepTrapState decides whether the trap state is kept once the states have been merged
+        this.keepTrapState = options.complete !== false
+
+        // dfa is the FSA that DFAMinimizer performs each step upon
+        this.dfa = undefined
+
+        // steps is the list of steps that have occurred thus far, along with the minimizer's state before each step
+        this.steps = []
+
+        // unreachableStates is the array of states that are still to be deleted
+        this.unreachableStates = undefined
+
+        // completed is true once the DFA has been checked for missing transitions
+        this.completed = false
+
+        // tableStates is the list of states that label the distinguishability table
+        this.tableStates = undefined
+
+        // marks maps each distinguishable pair of states to the round in which it was marked
+        this.marks = undefined
+
+        // round is the number of refinement rounds that have been performed
+        this.round = 0
+
+        // refined is true once a refinement round no longer marks any pairs
+        this.refined = false
+
+        // classes is the array of equivalence classes that are still to be merged
+        this.classes = undefined
+
+        // trapStates is the array of trap states that are still to be deleted from a partial DFA
+        this.trapStates = undefined
+    }
+
+    /**
+     * Get the key of a pair of states in the marks map, regardless of the order of the states
+     *
+     * @param {String} s1 The first state
+     * @param {String} s2 The second state
+     * @returns {String} The key of the pair
+     */
+    static pairKey (s1, s2) {
+        return s1 < s2 ? `${s1}|${s2}` : `${s2}|${s1}`
+    }
+
+    /**
+     * Make sure the given FSA is deterministic, since only a DFA can be minimized
+     *
+     * @param {FSA} fsa The FSA to check
+     */
+    validate (fsa) {
+        if (fsa.startState === undefined) throw new Error('The DFA to minimize has no start state')
+
+        for (const state of fsa.states) {
+            if (!fsa.transitions[state]) continue
+
+            if (fsa.transitions[state]['ε'] && fsa.transitions[state]['ε'].length > 0) {
+                throw new Error(`Only a DFA can be minimized, but state ${state} has an ε-transition`)
+            }
+
+            for (const symbol of fsa.alphabet) {
+                if (fsa.transitions[state][symbol] && fsa.transitions[state][symbol].length > 1) {
+                    throw new Error(`Only a DFA can be minimized, but state ${state} has several transitions on input ${symbol}`)
+                }
+            }
+        }
+    }
+
+    /**
+     * Get the state that the given state transitions to on the given symbol
+     *
+     * @param {String} state The state to transition from
+     * @param {String} symbol The symbol to transition on
+     * @returns {String} The state that is reached, or undefined if the transition is missing
+     */
+    getTarget (state, symbol) {
+        const targets = this.dfa.transitions[state] && this.dfa.transitions[state][symbol]
+        return targets && targets.length > 0 ? targets[0] : undefined
+    }
+
+    /**
+     * Get every transition that is missing from the DFA
+     *
+     * @returns {Array} The list of [state, symbol] pairs without a transition
+     */
+    getMissingTransitions () {
+        const missing = []
+        for (const state of this.dfa.states) {
+            for (const symbol of this.dfa.alphabet) {
+                if (this.getTarget(state, symbol) === undefined) missing.push([state, symbol])
+            }
+        }
+
+        return missing
+    }
+
+    /**
+     * Get the name for the trap state that does not clash with an existing state
+     *
+     * @returns {String} The name of the trap state
+     */
+    getTrapStateName () {
+        let name = 'Ø'
+        while (this.dfa.states.includes(name)) { name += '′' }
+
+        return name
+    }
+
+    /**
+     * Find the pairs that become distinguishable in the next refinement round. A pair is distinguishable
+     * if, on some symbol, its states transition to a pair that was marked in a previous round.
+     *
+     * @returns {Array} The list of newly marked pairs and the reason each was marked
+     */
+    getNextRoundMarks () {
+        const marked = []
+        const states = this.tableStates
+
+        for (let i = 0; i < states.length; i++) {
+            for (let j = 0; j < i; j++) {
+                const s1 = states[i]
+                const s2 = states[j]
+                if (this.marks[DFAMinimizer.pairKey(s1, s2)] !== undefined) continue
+
+                for (const symbol of this.dfa.alphabet) {
+                    const t1 = this.getTarget(s1, symbol)
+                    const t2 = this.getTarget(s2, symbol)
+                    if (t1 === t2) continue
+
+                    if (this.marks[DFAMinimizer.pairKey(t1, t2)] !== undefined) {
+                        marked.push({ pair: [s2, s1], symbol: symbol, targets: [t2, t1] })
+                        break
+                    }
+                }
+            }
+        }
+
+        return marked
+    }
+
+    /**
+     * Group the states into classes of states that have not been marked as distinguishable
+     *
+     * @returns {Array} The list of classes, each being a list of states
+     */
+    getClasses () {
+        const classes = []
+        for (const state of this.tableStates) {
+            const existing = classes.find(c => this.marks[DFAMinimizer.pairKey(c[0], state)] === undefined)
+            if (existing) {
+                existing.push(state)
+            } else {
+                classes.push([state])
+            }
+        }
+
+        return classes
+    }
+
+    /**
+     * Get the distinguishability table as it currently stands
+     *
+     * @returns {Object} The states labelling the table and the rows of the lower triangle, where each
+     *                   cell holds the round in which the pair was marked or undefined if it is unmarked
+     */
+    getDistinguishabilityTable () {
+        if (!this.marks) return undefined
+
+        const rows = []
+        for (let i = 1; i < this.tableStates.length; i++) {
+            const row = []
+            for (let j = 0; j < i; j++) {
+                row.push(this.marks[DFAMinimizer.pairKey(this.tableStates[i], this.tableStates[j])])
+            }
+            rows.push(row)
+        }
+
+        return { states: this.tableStates, rows: rows }
+    }
+
+    /**
+     * Get the ID of the next step in the minimization process
+     *
+     * @returns {String} The ID of the next step to be performed
+     */
+    getNextStep () {
+        if (this.dfa === undefined) return 'initialize'
+
+        if (!this.unreachableStates) {
+            const accessibleStates = this.dfa.getAccessibleStates()
+            this.unreachableStates = this.dfa.states.filter(s => !accessibleStates.includes(s))
+        }
+        if (this.unreachableStates.length > 0) return 'delete_state'
+
+        if (!this.completed) {
+            if (this.getMissingTransitions().length > 0) return 'add_trap_state'
+            this.completed = true
+        }
+
+        if (!this.marks) return 'mark_pairs'
+
+        if (!this.refined) {
+            if (this.getNextRoundMarks().length > 0) return 'refine_partition'
+            this.refined = true
+        }
+
+        if (!this.classes) { this.classes = this.getClasses().filter(c => c.length > 1) }
+        if (this.classes.length > 0) return 'merge_class'
+
+        if (!this.keepTrapState) {
+            // The start state is kept even if the language is empty
+            if (!this.trapStates) { this.trapStates = this.dfa.getDeadStates().filter(s => s !== this.dfa.startState) }
+            if (this.trapStates.length > 0) return 'delete_trap_state'
+        }
+    }
+
+    /**
+     * Freeze the minimizer's progress so that a step can be undone
+     *
+     * @returns {Object} The copy of the minimizer's progress
+     */
+    snapshot () {
+        const copy = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+
+        return {
+            unreachableStates: copy(this.unreachableStates),
+            completed: this.completed,
+            tableStates: copy(this.tableStates),
+            marks: copy(this.marks),
+            round: this.round,
+            refined: this.refined,
+            classes: copy(this.classes),
+            trapStates: copy(this.trapStates)
+        }
+    }
+
+    /**
+     * Record a step along with the DFA and the minimizer's progress prior to it
+     *
+     * @param {FSA} prevDFA The DFA before this step
+     * @param {Object} prevState The minimizer's progress before this step
+     * @param {Object} step The step's properties
+     * @returns {Array} The DFA and the step that was performed
+     */
+    pushStep (prevDFA, prevState, step) {
+        this.steps.push([prevDFA, step, prevState])
+        return [this.dfa.clone(), step]
+    }
+
+    /**
+     * Copy the input DFA as the starting point of the minimization
+     *
+     * @returns {Array} The DFA after this step and the step that was performed
+     */
+    initializeDFA () {
+        this.validate(this.input)
+
+        this.dfa = this.input.clone()
+        this.dfa.alphabet = this.dfa.alphabet.filter(e => e !== 'ε')
+
+        const step = [this.dfa.clone(), {
+            type: 'initialize',
+            desc: 'Initialize with the DFA to minimize'
+        }]
+        this.steps.push([undefined, step[1], this.snapshot()])
+        return step
+    }
+
+    /**
+     * Delete the next state that cannot be reached from the start state
+     *
+     * @returns {Array} The DFA before the deletion and the step that was performed
+     */
+    deleteNextUnreachableState () {
+        return this.deleteNextState(this.unreachableStates, 'unreachable state', ', since it cannot be reached from the start state')
+    }
+
+    /**
+     * Delete the next trap state to leave a partial DFA
+     *
+     * @returns {Array} The DFA before the deletion and the step that was performed
+     */
+    deleteNextTrapState () {
+        return this.deleteNextState(this.trapStates, 'trap state', ', since no accept state can be reached from it, to leave a partial DFA')
+    }
+
+    /**
+     * Delete the state at the beginning of the given list
+     *
+     * @param {Array} list The list of states that are still to be deleted
+     * @param {String} kind The kind of state, for the step's description
+     * @param {String} reason The reason for the deletion, for the step's description
+     * @returns {Array} The DFA before the deletion and the step that was performed
+     */
+    deleteNextState (list, kind, reason = '') {
+        const prevState = this.snapshot()
+        const stateToDelete = list.shift()
+
+        const step = {
+            type: 'delete_state',
+            desc: `Delete ${kind} {${stateToDelete}}${reason}`,
+            state: stateToDelete,
+            transitions: this.dfa.transitions[stateToDelete] !== undefined ? Object.assign({}, this.dfa.transitions[stateToDelete]) : undefined
+        }
+
+        // The visual DFA deletes the state itself, so it must receive the DFA before the deletion
+        const prevDFA = this.dfa.clone()
+        this.steps.push([prevDFA, step, prevState])
+
+        this.dfa.removeState(stateToDelete)
+        return [prevDFA, step]
+    }
+
+    /**
+     * Add a trap state and direct every missing transition to it
+     *
+     * @returns {Array} The DFA after this step and the step that was performed
+     */
+    addTrapState () {
+        const prevDFA = this.dfa.clone()
+        const prevState = this.snapshot()
+
+        const trap = this.getTrapStateName()
+        const missing = this.getMissingTransitions()
+        this.dfa.states.push(trap)
+        this.dfa.transitions[trap] = {}
+
+        // The trap state loops back to itself on every symbol
+        for (const symbol of this.dfa.alphabet) { missing.push([trap, symbol]) }
+
+        for (const [state, symbol] of missing) {
+            if (!this.dfa.transitions[state]) this.dfa.transitions[state] = {}
+            this.dfa.transitions[state][symbol] = [trap]
+        }
+
+        this.completed = true
+
+        return this.pushStep(prevDFA, prevState, {
+            type: 'add_trap_state',
+            desc: `Complete the DFA by adding trap state {${trap}} for the ${missing.length - this.dfa.alphabet.length} missing transitions`,
+            state: trap,
+            transitions: missing
+        })
+    }
+
+    /**
+     * Mark every pair of an accept state and a non-accept state as distinguishable
+     *
+     * @returns {Array} The DFA after this step and the step that was performed
+     */
+    markAcceptPairs () {
+        const prevDFA = this.dfa.clone()
+        const prevState = this.snapshot()
+
+        this.tableStates = [...this.dfa.states]
+        this.marks = {}
+
+        const pairs = []
+        for (const s1 of this.dfa.acceptStates) {
+            for (const s2 of this.dfa.states.filter(e => !this.dfa.acceptStates.includes(e))) {
+                this.marks[DFAMinimizer.pairKey(s1, s2)] = 0
+                pairs.push([s1, s2])
+            }
+        }
+
+        return this.pushStep(prevDFA, prevState, {
+            type: 'mark_pairs',
+            desc: `Mark the ${pairs.length} pairs of an accept and a non-accept state as distinguishable`,
+            pairs: pairs
+        })
+    }
+
+    /**
+     * Perform the next round of the table-filling algorithm, which refines the partition of states
+     *
+     * @returns {Array} The DFA after this step and the step that was performed
+     */
+    refinePartition () {
+        const prevDFA = this.dfa.clone()
+        const prevState = this.snapshot()
+
+        const marked = this.getNextRoundMarks()
+        this.round++
+        for (const m of marked) {
+            this.marks[DFAMinimizer.pairKey(m.pair[0], m.pair[1])] = this.round
+        }
+
+        const reasons = marked.map(m => `{${m.pair[0]}}, {${m.pair[1]}} on input ${m.symbol}`)
+        const classes = this.getClasses().map(c => `{${c.map(e => `{${e}}`).join(', ')}}`)
+
+        return this.pushStep(prevDFA, prevState, {
+            type: 'refine_partition',
+            desc: `Round ${this.round}: mark ${reasons.join('; ')}. Classes are now ${classes.join(' ')}`,
+            pairs: marked.map(m => m.pair),
+            round: this.round
+        })
+    }
+
+    /**
+     * Merge the next class of indistinguishable states into a single state
+     *
+     * @returns {Array} The DFA before this step and the step that was performed
+     */
+    mergeNextClass () {
+        const prevState = this.snapshot()
+        const states = this.classes.shift()
+
+        const step = {
+            type: 'merge_class',
+            desc: `Merge indistinguishable states ${states.map(e => `{${e}}`).join(', ')}`,
+            states: states,
+            state: states.join('+')
+        }
+
+        // The visual DFA merges the states itself, so it must receive the DFA before the merge
+        const prevDFA = this.dfa.clone()
+        this.steps.push([prevDFA, step, prevState])
+
+        this.dfa.mergeEquivalentStates(states)
+        return [prevDFA, step]
+    }
+
+    /**
+     * Perform a single step in the minimization of the DFA
+     *
+     * @returns {Array} The new DFA and the step that was performed
+     */
+    stepForward () {
+        switch (this.getNextStep()) {
+        case 'initialize':
+            return this.initializeDFA()
+
+        case 'delete_state':
+            return this.deleteNextUnreachableState()
+
+        case 'add_trap_state':
+            return this.addTrapState()
+
+        case 'mark_pairs':
+            return this.markAcceptPairs()
+
+        case 'refine_partition':
+            return this.refinePartition()
+
+        case 'merge_class':
+            return this.mergeNextClass()
+
+        case 'delete_trap_state':
+            return this.deleteNextTrapState()
+        }
+
+        return [undefined, undefined]
+    }
+
+    /**
+     * Undo the previous step in the minimization process
+     *
+     * @returns {Array} The previous DFA and the step that was undone
+     */
+    stepBackward () {
+        if (this.steps.length === 0) { return }
+        const [prevDFA, prevStep, prevState] = this.steps.pop()
+
+        this.dfa = prevDFA
+        for (const key of Object.keys(prevState)) { this[key] = prevState[key] }
+
+        return [prevDFA || new FSA([], [], {}, undefined, []), prevStep]
+    }
+
+    /**
+     * Complete the entire minimization process
+     *
+     * @returns {Array} Every step that was performed
+     */
+    complete () {
+        const allSteps = []
+
+        while (true) {
+            const [newDFA, step] = this.stepForward()
+            if (newDFA === undefined || step === undefined) break
+            allSteps.push([newDFA, step])
+        }
+
+        return allSteps
+    }
+}
@@ -0,0 +1,590 @@
+import FSA from './fsa.js'
+import Location from '../canvas/location.js'
+import TransitionLabelParser from './transition_label.js'
+import { DotSyntaxError } from '../util/errors.js'
+
+// Shapes of the invisible node the start arrow comes from
+const START_SHAPES = ['point', 'none', 'plaintext', 'plain']
+
+// The attributes that are read from nodes and edges
+const NODE_ATTRIBUTES = ['shape', 'label', 'pos', 'style']
+const EDGE_ATTRIBUTES = ['label', 'style']
+
+// Attributes that only change how Graphviz draws the graph, which can be ignored without losing anything
+const LAYOUT_ATTRIBUTES = [
+    'arrowhead', 'arrowsize', 'bgcolor', 'center', 'color', 'constraint', 'dpi', 'fillcolor', 'fixedsize',
+    'fontcolor', 'fontname', 'fontsize', 'height', 'label', 'labelfloat', 'margin', 'minlen', 'nodesep',
+    'penwidth', 'rank', 'rankdir', 'ranksep', 'ratio', 'size', 'splines', 'weight', 'width', 'xlabel'
+]
+
+// Unquoted identifiers, which are names or numerals
+const ID_PATTERN = /[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*|-?(?:\.\d+|\d+(?:\.\d*)?)/y
+
+// The distance of the nodes from the edge of the canvas if the positions of the file are out of view
+const POSITION_MARGIN = 85
+
+export default class DotParser {
+    /**
+     * DotParser reads a Graphviz digraph as a finite automaton. Nodes with shape=doublecircle are accept
+     * states, and the start state is the target of the edge from an invisible node (shape=point, none or
+     * plaintext, or style=invis). Edge labels use the syntax of transition labels, so 'a, b' or 'a-c' read
+     * several symbols and an edge without a label reads ε. Node positions are taken from pos attributes.
+     *
+     * Subgraphs are flattened. Anything the automaton cannot represent (undirected graphs aside, which are
+     * an error) is skipped and reported as a warning with its line number: ports, edges to or from
+     * subgraphs, HTML labels, unreadable labels and attributes other than the ones above.
+     *
+     * @param {String} text The DOT source (e.g. 'digraph { start [shape=point]; start -> q0; q0 -> q1 [label="a"] }')
+     */
+    constructor (text) {
+        this.text = text
+    }
+
+    /**
+     * Parse the whole graph
+     *
+     * @returns {Object} The FSA, a map of state labels to their Locations, and the warnings about unsupported constructs
+     */
+    parse () {
+        this.tokens = this.tokenize()
+        this.index = 0
+        this.warnings = []
+
+        // nodes maps node IDs to their attributes, in the order they first appear
+        this.nodes = {}
+        this.edges = []
+
+        this.parseGraph()
+
+        return this.build()
+    }
+
+    /**
+     * Split the text into identifiers, HTML strings and punctuation, dropping whitespace and comments
+     *
+     * @returns {Array} The tokens, each with a type, a value and the line it starts on
+     */
+    tokenize () {
+        const text = this.text
+        const tokens = []
+        let line = 1
+        let i = 0
+
+        while (i < text.length) {
+            const c = text[i]
+
+            if (c === '\n') {
+                line++
+                i++
+            } else if (/\s/.test(c)) {
+                i++
+            } else if (text.startsWith('//', i) || (c === '#' && (i === 0 || text[i - 1] === '\n'))) {
+                // Line comments, and lines of C preprocessor output
+                while (i < text.length && text[i] !== '\n') i++
+            } else if (text.startsWith('/*', i)) {
+                const end = text.indexOf('*/', i + 2)
+                if (end < 0) throw new DotSyntaxError('Unterminated comment', line)
+
+                line += text.slice(i, end).split('\n').length - 1
+                i = end + 2
+            } else if (c === '"') {
+                const start = line
+                let value = ''
+                i++
+
+                while (i < text.length && text[i] !== '"') {
+                    if (text[i] === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) {
+                        // Graphviz reads \\ in a label as a single backslash
+                        value += text[i + 1]
+                        i += 2
+                    } else if (text[i] === '\\' && text[i + 1] === '\n') {
+                        // A backslash at the end of a line continues the string on the next line
+                        line++
+                        i += 2
+                    } else {
+                        if (text[i] === '\n') line++
+                        value += text[i++]
+                    }
+                }
+                if (i >= text.length) throw new DotSyntaxError('Unterminated string', start)
+
+                tokens.push({ type: 'id', value: value, line: start, quoted: true })
+                i++
+            } else if (c === '<') {
+                // HTML strings are delimited by balanced angle brackets
+                const start = line
+                let depth = 0
+                let j = i
+                do {
+                    if (j >= text.length) throw new DotSyntaxError('Unterminated HTML string', start)
+                    if (text[j] === '<') depth++
+                    if (text[j] === '>') depth--
+                    if (text[j] === '\n') line++
+                    j++
+                } while (depth > 0)
+
+                tokens.push({ type: 'html', value: text.slice(i + 1, j - 1), line: start })
+                i = j
+            } else if (text.startsWith('->', i) || text.startsWith('--', i)) {
+                tokens.push({ type: 'punctuation', value: text.slice(i, i + 2), line: line })
+                i += 2
+            } else if ('{}[]=;,:'.includes(c)) {
+                tokens.push({ type: 'punctuation', value: c, line: line })
+                i++
+            } else {
+                ID_PATTERN.lastIndex = i
+                const match = ID_PATTERN.exec(text)
+                if (!match) throw new DotSyntaxError(`Unexpected character ${c}`, line)
+
+                tokens.push({ type: 'id', value: match[0], line: line, quoted: false })
+                i += match[0].length
+            }
+        }
+
+        return tokens
+    }
+
+    /**
+     * Get the next token without consuming it
+     *
+     * @returns {Object} The token, or undefined at the end of the text
+     */
+    peek () {
+        return this.tokens[this.index]
+    }
+
+    /**
+     * Consume the next token
+     *
+     * @returns {Object} The token
+     */
+    next () {
+        const token = this.tokens[this.index++]
+        if (!token) throw new DotSyntaxError('Unexpected end of the graph', this.getLine())
+
+        return token
+    }
+
+    /**
+     * Get the line of the next token, or of the last one at the end of the text
+     *
+     * @returns {Number} The line number
+     */
+    getLine () {
+        const token = this.peek() || this.tokens[this.tokens.length - 1]
+        return token ? token.line : 1
+    }
+
+    /**
+     * Whether the next token is the given punctuation
+     *
+     * @param {String} value The punctuation (e.g. '->')
+     * @returns {Boolean} True if it is
+     */
+    isPunctuation (value) {
+        const token = this.peek()
+        return token !== undefined && token.type === 'punctuation' && token.value === value
+    }
+
+    /**
+     * Whether the next token is the given keyword, which is case-insensitive and cannot be quoted
+     *
+     * @param {String} keyword The keyword (e.g. 'digraph')
+     * @returns {Boolean} True if it is
+     */
+    isKeyword (keyword) {
+        const token = this.peek()
+        return token !== undefined && token.type === 'id' && !token.quoted && token.value.toLowerCase() === keyword
+    }
+
+    /**
+     * Consume the given punctuation
+     *
+     * @param {String} value The punctuation (e.g. '{')
+     */
+    expect (value) {
+        if (!this.isPunctuation(value)) throw new DotSyntaxError(`Expected ${value}`, this.getLine())
+        this.next()
+    }
+
+    /**
+     * Consume an identifier
+     *
+     * @returns {String} The identifier
+     */
+    parseID () {
+        const token = this.peek()
+        if (!token || token.type !== 'id') throw new DotSyntaxError('Expected a name', this.getLine())
+
+        return this.next().value
+    }
+
+    /**
+     * Parse 'digraph name { statements }'
+     */
+    parseGraph () {
+        if (this.isKeyword('strict')) this.next()
+        if (this.isKeyword('graph')) throw new DotSyntaxError('Only directed graphs (digraph) can be read as automata', this.getLine())
+        if (!this.isKeyword('digraph')) throw new DotSyntaxError('Expected digraph', this.getLine())
+        this.next()
+
+        if (this.peek() && this.peek().type === 'id') this.next()
+
+        this.expect('{')
+        this.parseStatements({ node: {}, edge: {} })
+        this.expect('}')
+
+        if (this.peek()) this.warn(this.getLine(), 'only the first graph is read')
+    }
+
+    /**
+     * Parse statements up to the closing brace of the graph or subgraph
+     *
+     * @param {Object} defaults The default node and edge attributes in scope
+     */
+    parseStatements (defaults) {
+        while (this.peek() && !this.isPunctuation('}')) {
+            this.parseStatement(defaults)
+            if (this.isPunctuation(';')) this.next()
+        }
+    }
+
+    /**
+     * Parse a single statement, which is an attribute, a node, an edge or a subgraph
+     *
+     * @param {Object} defaults The default node and edge attributes in scope
+     */
+    parseStatement (defaults) {
+        const line = this.getLine()
+
+        if (this.isKeyword('graph') || this.isKeyword('node') || this.isKeyword('edge')) {
+            const kind = this.next().value.toLowerCase()
+            const attributes = this.parseAttributes()
+
+            if (kind === 'graph') {
+                this.checkAttributes(attributes, [], 'graph', line)
+            } else {
+                this.checkAttributes(attributes, kind === 'node' ? NODE_ATTRIBUTES : EDGE_ATTRIBUTES, kind, line)
+                Object.assign(defaults[kind], attributes)
+            }
+            return
+        }
+
+        if (this.isKeyword('subgraph') || this.isPunctuation('{')) {
+            this.parseSubgraph(defaults)
+            if (this.isPunctuation('->') || this.isPunctuation('--')) {
+                this.warn(line, 'edges to or from a subgraph are not supported')
+                this.parseEdges([], defaults, line)
+            }
+            return
+        }
+
+        const id = this.parseID()
+        if (this.isPunctuation('=')) {
+            this.next()
+            const value = this.peek() && this.peek().type === 'html' ? this.next().value : this.parseID()
+            this.checkAttributes({ [id]: value }, [], 'graph', line)
+            return
+        }
+
+        this.skipPort(line)
+
+        if (this.isPunctuation('->') || this.isPunctuation('--')) {
+            this.parseEdges([id], defaults, line)
+        } else {
+            const attributes = this.parseAttributes()
+            this.checkAttributes(attributes, NODE_ATTRIBUTES, 'node', line)
+            this.addNode(id, attributes, defaults, line)
+        }
+    }
+
+    /**
+     * Parse 'subgraph name { statements }', whose statements belong to the graph itself. Attributes set
+     * inside the subgraph only apply within it.
+     *
+     * @param {Object} defaults The default node and edge attributes in scope
+     */
+    parseSubgraph (defaults) {
+        if (this.isKeyword('subgraph')) {
+            this.next()
+            if (this.peek() && this.peek().type === 'id') this.next()
+        }
+
+        this.expect('{')
+        this.parseStatements({ node: Object.assign({}, defaults.node), edge: Object.assign({}, defaults.edge) })
+        this.expect('}')
+    }
+
+    /**
+     * Parse the rest of an edge statement, which may be a chain like 'a -> b -> c [label="x"]'
+     *
+     * @param {Array} ids The nodes of the chain so far, or an empty array if the chain is not supported
+     * @param {Object} defaults The default node and edge attributes in scope
+     * @param {Number} line The line of the statement
+     */
+    parseEdges (ids, defaults, line) {
+        let supported = ids.length > 0
+
+        while (this.isPunctuation('->') || this.isPunctuation('--')) {
+            if (this.next().value === '--') throw new DotSyntaxError('Undirected edges (--) are not allowed in a digraph', line)
+
+            if (this.isKeyword('subgraph') || this.isPunctuation('{')) {
+                if (supported) this.warn(line, 'edges to or from a subgraph are not supported')
+                this.parseSubgraph(defaults)
+                supported = false
+            } else {
+                ids.push(this.parseID())
+                this.skipPort(line)
+            }
+        }
+
+        const attributes = this.parseAttributes()
+        this.checkAttributes(attributes, EDGE_ATTRIBUTES, 'edge', line)
+        if (!supported) return
+
+        for (const id of ids) this.addNode(id, {}, defaults, line)
+        for (let i = 0; i < ids.length - 1; i++) {
+            this.edges.push({ from: ids[i], to: ids[i + 1], attributes: Object.assign({}, defaults.edge, attributes), line: line })
+        }
+    }
+
+    /**
+     * Parse any number of attribute lists (e.g. '[shape=circle, label="a"] [color=red]')
+     *
+     * @returns {Object} The attributes by name
+     */
+    parseAttributes () {
+        const attributes = {}
+
+        while (this.isPunctuation('[')) {
+            this.next()
+            while (!this.isPunctuation(']')) {
+                const name = this.parseID()
+                let value = 'true'
+                if (this.isPunctuation('=')) {
+                    this.next()
+                    value = this.peek() && this.peek().type === 'html' ? { html: this.next().value } : this.parseID()
+                }
+
+                attributes[name] = value
+                if (this.isPunctuation(',') || this.isPunctuation(';')) this.next()
+            }
+            this.next()
+        }
+
+        return attributes
+    }
+
+    /**
+     * Skip the port of a node (e.g. 'q0:n'), which has no meaning for an automaton
+     *
+     * @param {Number} line The line of the statement
+     */
+    skipPort (line) {
+        if (!this.isPunctuation(':')) return
+
+        this.warn(line, 'ports are not supported')
+        while (this.isPunctuation(':')) {
+            this.next()
+            this.parseID()
+        }
+    }
+
+    /**
+     * Report the attributes that are neither read nor only about layout
+     *
+     * @param {Object} attributes The attributes by name
+     * @param {Array} supported The names of the attributes that are read
+     * @param {String} kind Whether the attributes belong to a 'graph', 'node' or 'edge'
+     * @param {Number} line The line of the statement
+     */
+    checkAttributes (attributes, supported, kind, line) {
+        for (const name of Object.keys(attributes)) {
+            if (typeof attributes[name] === 'object') {
+                this.warn(line, `HTML values of ${name} are not supported`)
+            } else if (!supported.includes(name) && !LAYOUT_ATTRIBUTES.includes(name)) {
+                this.warn(line, `the ${kind} attribute ${name} is not supported`)
+            }
+        }
+    }
+
+    /**
+     * Report a construct that cannot be read
+     *
+     * @param {Number} line The line of the construct
+     * @param {String} message What is not supported
+     */
+    warn (line, message) {
+        this.warnings.push({ line: line, message: message })
+    }
+
+    /**
+     * Add a node, or add attributes to a node that already exists. Default attributes only apply to nodes
+     * that did not exist yet.
+     *
+     * @param {String} id The ID of the node
+     * @param {Object} attributes The attributes of the statement
+     * @param {Object} defaults The default node and edge attributes in scope
+     * @param {Number} line The line of the statement
+     */
+    addNode (id, attributes, defaults, line) {
+        if (!this.nodes[id]) this.nodes[id] = { attributes: Object.assign({}, defaults.node), line: line }
+        Object.assign(this.nodes[id].attributes, attributes)
+    }
+
+    /**
+     * Whether a node is the invisible node the start arrow comes from
+     *
+     * @param {Object} node The node
+     * @returns {Boolean} True if it is
+     */
+    isStartNode (node) {
+        const { shape, style } = node.attributes
+        return START_SHAPES.includes(shape) || (typeof style === 'string' && style.includes('invis'))
+    }
+
+    /**
+     * Build the FSA from the nodes and edges of the graph
+     *
+     * @returns {Object} The FSA, a map of state labels to their Locations, and the warnings
+     */
+    build () {
+        const fsa = new FSA([], [], {}, undefined, [])
+        const labels = {}
+        const locations = {}
+
+        for (const id of Object.keys(this.nodes)) {
+            const node = this.nodes[id]
+            if (this.isStartNode(node)) continue
+
+            // The label of the node names the state, unless it is the default label '\N'
+            const { label, shape, pos } = node.attributes
+            let state = typeof label === 'string' && label !== '' && label !== '\\N' ? label : id
+            if (fsa.states.includes(state)) state = `${state}_${id}`
+
+            labels[id] = state
+            fsa.states.push(state)
+            fsa.transitions[state] = {}
+            if (shape === 'doublecircle') fsa.acceptStates.push(state)
+
+            if (pos !== undefined) {
+                const match = /^\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)/.exec(pos)
+                if (match) {
+                    // Graphviz measures y upwards, the canvas downwards
+                    locations[state] = new Location(Number(match[1]), -Number(match[2]))
+                } else {
+                    this.warn(node.line, `the position ${pos} of ${id} is not of the form x,y`)
+                }
+            }
+        }
+
+        for (const edge of this.edges) {
+            const from = labels[edge.from]
+            const to = labels[edge.to]
+
+            if (from === undefined) {
+                if (to === undefined) {
+                    this.warn(edge.line, 'the edge between two invisible nodes is not supported')
+                } else if (fsa.startState !== undefined) {
+                    this.warn(edge.line, `the automaton already starts in ${fsa.startState}, so the start edge to ${to} is ignored`)
+                } else {
+                    fsa.startState = to
+                }
+                continue
+            }
+            if (to === undefined) {
+                this.warn(edge.line, 'edges into an invisible node are not supported')
+                continue
+            }
+
+            const label = edge.attributes.label
+            let symbols = ['ε']
+            if (typeof label === 'object') {
+                continue
+            } else if (label === undefined) {
+                this.warn(edge.line, `the edge from ${from} to ${to} has no label, so it reads ε`)
+            } else {
+                try {
+                    symbols = new TransitionLabelParser(label).parse()
+                } catch (e) {
+                    this.warn(edge.line, `${e.message} in the label ${label}`)
+                    continue
+                }
+            }
+
+            for (const symbol of symbols) {
+                if (!fsa.transitions[from][symbol]) fsa.transitions[from][symbol] = []
+                if (!fsa.transitions[from][symbol].includes(to)) fsa.transitions[from][symbol].push(to)
+                if (symbol !== 'ε' && !fsa.alphabet.includes(symbol)) fsa.alphabet.push(symbol)
+            }
+        }
+
+        fsa.alphabet.sort()
+
+        // Positions laid out by Graphviz usually end up above the canvas once y is flipped, so move them into view
+        const states = Object.keys(locations)
+        if (states.length > 0) {
+            const dx = Math.max(0, POSITION_MARGIN - Math.min(...states.map(e => locations[e].x)))
+            const dy = Math.max(0, POSITION_MARGIN - Math.min(...states.map(e => locations[e].y)))
+            for (const state of states) locations[state] = new Location(locations[state].x + dx, locations[state].y + dy)
+        }
+
+        // Warnings about edges are only found after the whole graph has been read, so sort them by line
+        const warnings = this.warnings.sort((a, b) => a.line - b.line).map(e => `Line ${e.line}: ${e.message}`)
+
+        return { fsa: fsa, locations: locations, warnings: warnings }
+    }
+}
+
+/**
+ * Write a visual FSA as a Graphviz digraph, with the positions of the nodes as pos attributes so that
+ * 'neato -n' draws it as it is on the canvas. Only finite automata can be written, since DOT has no place
+ * for the outputs of a Mealy or Moore machine or the stack of a PDA that DotParser could read back.
+ *
+ * @param {VisualFSA} visual The visual FSA
+ * @returns {String} The DOT source
+ */
+export function toDOT (visual) {
+    const fsa = visual.fsa
+    if (fsa.mode !== 'acceptor') {
+        throw new Error('Only finite automata can be exported to DOT, since it cannot hold the outputs of Mealy and Moore machines or the stack of a PDA')
+    }
+
+    const locations = visual.getLocations()
+    const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+    const round = n => Math.round(n * 10) / 10
+    const pos = loc => quote(`${round(loc.x)},${round(-loc.y)}!`)
+
+    const lines = ['digraph automaton {', '    rankdir=LR;', '    node [shape=circle];']
+
+    for (const state of fsa.states) {
+        const attributes = []
+        if (fsa.acceptStates.includes(state)) attributes.push('shape=doublecircle')
+        if (locations[state]) attributes.push(`pos=${pos(locations[state])}`)
+
+        lines.push(`    ${quote(state)}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`)
+    }
+
+    if (fsa.startState !== undefined) {
+        // The start arrow comes from an invisible node, whose name must not clash with a state
+        let start = '__start'
+        while (fsa.states.includes(start)) start = `_${start}`
+
+        const loc = locations[fsa.startState]
+        const startPos = loc ? `, pos=${pos(new Location(loc.x - 100, loc.y))}` : ''
+        lines.push(`    ${start} [shape=point, style=invis${startPos}];`)
+        lines.push(`    ${start} -> ${quote(fsa.startState)};`)
+    }
+
+    for (const node of visual.nodes) {
+        for (const to of Object.keys(node.transitionText)) {
+            if (node.transitionText[to].length === 0) continue
+
+            const label = visual.getTransitionLabel(node.label, node.transitionText[to])
+            lines.push(`    ${quote(node.label)} -> ${quote(to)} [label=${quote(label)}];`)
+        }
+    }
+
+    lines.push('}')
+    return lines.join('\n')
+}
@@ -0,0 +1,72 @@
+export default class EquivalenceChecker {
+    /**
+     * EquivalenceChecker decides whether two FSAs accept the same language. Both FSAs are determinized
+     * on the fly and their product is explored breadth-first, so the first pair of state sets where exactly
+     * one FSA accepts gives a shortest word that distinguishes them. NFAs with ε-transitions are supported.
+     *
+     * @param {FSA} first The first FSA
+     * @param {FSA} second The second FSA
+     */
+    constructor (first, second) {
+        this.automata = [first, second]
+
+        // The automata are compared over the union of their alphabets
+        this.alphabet = [...new Set(first.alphabet.concat(second.alphabet))].sort()
+    }
+
+    /**
+     * Get the set of states an FSA starts in, which is empty if it has no start state
+     *
+     * @param {FSA} fsa The FSA
+     * @returns {Array} The start states
+     */
+    getStartStates (fsa) {
+        return fsa.startState !== undefined ? fsa.closure([fsa.startState]) : []
+    }
+
+    /**
+     * Get the set of states an FSA is in after reading a symbol, which is empty for symbols outside its alphabet
+     *
+     * @param {FSA} fsa The FSA
+     * @param {Array} states The current set of states
+     * @param {String} symbol The symbol to read
+     * @returns {Array} The next set of states
+     */
+    getNextStates (fsa, states, symbol) {
+        return fsa.alphabet.includes(symbol) ? fsa.getNextStates(states, symbol) : []
+    }
+
+    /**
+     * Check whether the automata are equivalent
+     *
+     * @returns {Object} Whether the automata are equivalent and, if not, the shortest distinguishing word
+     *                   as a list of symbols along with the index of the automaton that accepts it
+     */
+    check () {
+        const isAccepting = (fsa, states) => states.some(e => fsa.acceptStates.includes(e))
+        const key = pair => pair.map(e => e.join(',')).join('|')
+
+        const start = this.automata.map(e => this.getStartStates(e))
+        const queue = [{ pair: start, word: [] }]
+        const visited = new Set([key(start)])
+
+        while (queue.length > 0) {
+            const { pair, word } = queue.shift()
+
+            const verdicts = this.automata.map((e, i) => isAccepting(e, pair[i]))
+            if (verdicts[0] !== verdicts[1]) {
+                return { equivalent: false, word: word, acceptedBy: verdicts[0] ? 0 : 1 }
+            }
+
+            for (const symbol of this.alphabet) {
+                const next = this.automata.map((e, i) => this.getNextStates(e, pair[i], symbol))
+                if (visited.has(key(next))) continue
+
+                visited.add(key(next))
+                queue.push({ pair: next, word: word.concat([symbol]) })
+            }
+        }
+
+        return { equivalent: true }
+    }
+}
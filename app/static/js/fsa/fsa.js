@@ -2,7 +2,8 @@ import { UnknownStateError, UnknownSymbolError } from '../util/errors.js'
 
 export default class FSA {
     /**
-     * FSA represents a finite state automaton. This can be either an NFA or a DFA.
+     * FSA represents a finite state automaton. This can be either an NFA or a DFA, or a Mealy or Moore machine
+     * that writes an output word instead of accepting or rejecting its input.
      *
      * @param {Array} states The array of states in this FSA (e.g. ['1', '2', '3'])
      * @param {Array} alphabet The array of symbols in this FSA (e.g. ['a', 'b'])
@@ -16,6 +17,16 @@ export default class FSA {
         this.transitions = transitions
         this.startState = startState
         this.acceptStates = acceptStates
+
+        // mode is 'acceptor' for an automaton that accepts words, 'mealy' or 'moore' for a machine that writes output,
+        // or 'pda' for a pushdown automaton whose transitions are keyed by their labels (see PDA.fromFSA())
+        this.mode = 'acceptor'
+
+        // transitionOutputs maps states and symbols to the output of a Mealy machine (e.g. transitionOutputs['1']['a'] => '0')
+        this.transitionOutputs = {}
+
+        // stateOutputs maps states to the output of a Moore machine (e.g. stateOutputs['1'] => '0')
+        this.stateOutputs = {}
     }
 
     /**
@@ -23,7 +34,42 @@ export default class FSA {
      * This is useful for freezing the state of the FSA and passing it to a function
      */
     clone () {
-        return new FSA(JSON.parse(JSON.stringify(this.states)), JSON.parse(JSON.stringify(this.alphabet)), JSON.parse(JSON.stringify(this.transitions)), this.startState, JSON.parse(JSON.stringify(this.acceptStates)))
+        const fsa = new FSA(JSON.parse(JSON.stringify(this.states)), JSON.parse(JSON.stringify(this.alphabet)), JSON.parse(JSON.stringify(this.transitions)), this.startState, JSON.parse(JSON.stringify(this.acceptStates)))
+        fsa.mode = this.mode
+        fsa.transitionOutputs = JSON.parse(JSON.stringify(this.transitionOutputs))
+        fsa.stateOutputs = JSON.parse(JSON.stringify(this.stateOutputs))
+
+        return fsa
+    }
+
+    /**
+     * Whether the FSA is a Mealy or Moore machine
+     *
+     * @returns {Boolean} True if the FSA writes output
+     */
+    isTransducer () {
+        return this.mode === 'mealy' || this.mode === 'moore'
+    }
+
+    /**
+     * Get what a Mealy machine writes when it reads a symbol in a state
+     *
+     * @param {String} state The state
+     * @param {String} symbol The symbol that is read
+     * @returns {String} The output, which is empty if none was set
+     */
+    getTransitionOutput (state, symbol) {
+        return (this.transitionOutputs[state] || {})[symbol] || ''
+    }
+
+    /**
+     * Get what a Moore machine writes when it enters a state
+     *
+     * @param {String} state The state
+     * @returns {String} The output, which is empty if none was set
+     */
+    getStateOutput (state) {
+        return this.stateOutputs[state] || ''
     }
 
     /**
@@ -36,6 +82,8 @@ export default class FSA {
         this.acceptStates = this.acceptStates.filter(s => s !== state)
         if (this.startState === state) this.startState = undefined
         delete this.transitions[state]
+        delete this.transitionOutputs[state]
+        delete this.stateOutputs[state]
 
         // Remove all transitions that lead to the state
         for (const fromState of Object.keys(this.transitions)) {
@@ -70,7 +118,8 @@ export default class FSA {
         // Add incoming transitions to the new state using the old states' incoming transitions
         for (const state of this.states.filter(e => e !== s1 && e !== s2)) {
             for (const symbol of this.alphabet) {
-                if (this.transitions[state][symbol][0] === s1 || this.transitions[state][symbol][0] === s2) {
+                const target = (this.transitions[state][symbol] || [])[0]
+                if (target === s1 || target === s2) {
                     this.transitions[state][symbol] = [newState]
                 }
             }
@@ -81,6 +130,208 @@ export default class FSA {
         this.removeState(s2)
     }
 
+    /**
+     * Merge a class of equivalent states into a single state. Every transition of the class is taken
+     * from its first state, and every transition into the class is redirected to the new state.
+     *
+     * @param {Array} states The states to merge (e.g. ['1', '3'])
+     * @returns {String} The name of the new state (e.g. '1+3')
+     */
+    mergeEquivalentStates (states) {
+        const newState = states.join('+')
+        const rename = s => states.includes(s) ? newState : s
+
+        // Take the outgoing transitions from the representative state of the class
+        const transitions = {}
+        for (const symbol of Object.keys(this.transitions[states[0]] || {})) {
+            transitions[symbol] = [...new Set(this.transitions[states[0]][symbol].map(rename))].sort()
+        }
+
+        for (const state of states) { delete this.transitions[state] }
+        this.transitions[newState] = transitions
+
+        // Redirect the incoming transitions of the class to the new state
+        for (const fromState of Object.keys(this.transitions)) {
+            for (const symbol of Object.keys(this.transitions[fromState])) {
+                this.transitions[fromState][symbol] = [...new Set(this.transitions[fromState][symbol].map(rename))].sort()
+            }
+        }
+
+        if (states.includes(this.startState)) { this.startState = newState }
+        if (states.some(s => this.acceptStates.includes(s))) { this.acceptStates.push(newState) }
+        this.acceptStates = this.acceptStates.filter(s => !states.includes(s))
+        this.states = this.states.filter(s => !states.includes(s)).concat(newState)
+
+        return newState
+    }
+
+    /**
+     * Find every state that can be reached from the start state by following any transitions
+     *
+     * @returns {Array} The array of accessible states, in the order they were found
+     */
+    getAccessibleStates () {
+        if (this.startState === undefined) return []
+
+        const visited = [this.startState]
+        for (let i = 0; i < visited.length; i++) {
+            const transitions = this.transitions[visited[i]] || {}
+            for (const symbol of Object.keys(transitions)) {
+                for (const next of transitions[symbol] || []) {
+                    if (!visited.includes(next)) visited.push(next)
+                }
+            }
+        }
+
+        return visited
+    }
+
+    /**
+     * Find every state from which no accept state can be reached. Trap states are always dead.
+     *
+     * @returns {Array} The array of dead states
+     */
+    getDeadStates () {
+        const live = new Set(this.acceptStates)
+
+        // Work backwards from the accept states until no more states can reach a live state
+        let changed = true
+        while (changed) {
+            changed = false
+            for (const state of this.states.filter(e => !live.has(e))) {
+                const targets = Object.values(this.transitions[state] || {})
+                if (targets.some(e => (e || []).some(s => live.has(s)))) {
+                    live.add(state)
+                    changed = true
+                }
+            }
+        }
+
+        return this.states.filter(e => !live.has(e))
+    }
+
+    /**
+     * Find every state that does not take part in accepting any word, which is every state that cannot
+     * be reached from the start state or cannot reach an accept state. The start state is never useless.
+     *
+     * @returns {Array} The useless states, each with the reason 'unreachable' or 'cannot_accept'
+     */
+    getUselessStates () {
+        const accessibleStates = this.getAccessibleStates()
+        const deadStates = this.getDeadStates()
+
+        const unreachable = this.states.filter(e => e !== this.startState && !accessibleStates.includes(e))
+        const cannotAccept = this.states.filter(e => e !== this.startState && accessibleStates.includes(e) && deadStates.includes(e))
+
+        return unreachable.map(e => ({ state: e, reason: 'unreachable' }))
+            .concat(cannotAccept.map(e => ({ state: e, reason: 'cannot_accept' })))
+    }
+
+    /**
+     * Check the FSA for mistakes and oddities, such as a missing start state or states that can never be reached
+     *
+     * @returns {Array} The diagnostics, each with a type, a severity ('error', 'warning' or 'info'), a message
+     *                  and the states it concerns
+     */
+    validate () {
+        const diagnostics = []
+        const add = (type, severity, message, states = []) => diagnostics.push({
+            type: type,
+            severity: severity,
+            message: message,
+            states: states
+        })
+
+        if (this.states.length === 0) return diagnostics
+
+        if (this.startState === undefined) {
+            add('no_start_state', 'error', 'The automaton has no start state')
+        } else {
+            const accessibleStates = this.getAccessibleStates()
+            for (const state of this.states.filter(e => !accessibleStates.includes(e))) {
+                add('unreachable_state', 'warning', `State ${state} cannot be reached from the start state`, [state])
+            }
+        }
+
+        // The transitions of a PDA are keyed by their labels, so only its states can be checked here
+        if (this.mode === 'pda') return diagnostics
+
+        // A Mealy or Moore machine writes output instead of accepting, and has to know which way to go
+        if (this.isTransducer()) {
+            const name = this.mode === 'mealy' ? 'A Mealy machine' : 'A Moore machine'
+            for (const state of this.states) {
+                const transitions = this.transitions[state] || {}
+                if ((transitions['ε'] || []).length > 0) {
+                    add('nondeterministic_transducer', 'error', `${name} cannot have ε-transitions, but state ${state} has one`, [state])
+                }
+                for (const symbol of Object.keys(transitions).filter(e => e !== 'ε' && transitions[e].length > 1)) {
+                    add('nondeterministic_transducer', 'error', `${name} must be deterministic, but state ${state} has a choice of transitions on input ${symbol}`, [state])
+                }
+            }
+
+            return diagnostics
+        }
+
+        if (this.acceptStates.length === 0) {
+            add('no_accept_states', 'warning', 'The automaton has no accept states, so it accepts no words')
+        }
+
+        const uses = {}
+        for (const state of this.states) {
+            const transitions = this.transitions[state] || {}
+            for (const symbol of Object.keys(transitions).filter(e => (transitions[e] || []).length > 0)) {
+                if (symbol !== 'ε') uses[symbol] = (uses[symbol] || []).concat(transitions[symbol].map(() => state))
+
+                if (symbol !== 'ε' && transitions[symbol].length > 1) {
+                    add('nondeterministic', 'info', `State ${state} has a choice of ${transitions[symbol].length} transitions on input ${symbol}`, [state])
+                }
+            }
+        }
+
+        // A state is on an ε-cycle if it can return to itself with one or more ε-transitions
+        const epsilonSuccessors = state => this.closure((this.transitions[state] || {})['ε'] || [])
+        const cycles = {}
+        for (const state of this.states) {
+            if (!epsilonSuccessors(state).includes(state)) continue
+
+            const cycle = this.states.filter(e => epsilonSuccessors(state).includes(e) && epsilonSuccessors(e).includes(state))
+            cycles[cycle.join(',')] = cycle
+        }
+        for (const cycle of Object.values(cycles)) {
+            add('epsilon_cycle', 'info', `States ${cycle.join(', ')} form an ε-cycle and could be merged`, cycle)
+        }
+
+        // A symbol that is only used once is often a typo
+        if (Object.keys(uses).length > 1) {
+            for (const symbol of Object.keys(uses).filter(e => uses[e].length === 1)) {
+                add('rare_symbol', 'info', `Symbol ${symbol} is only used by a single transition`, uses[symbol])
+            }
+        }
+
+        if (this.isDeterministic()) {
+            for (const state of this.states) {
+                const missing = this.alphabet.filter(e => !((this.transitions[state] || {})[e] || []).length)
+                if (missing.length > 0) {
+                    add('incomplete', 'info', `The DFA is incomplete: state ${state} has no transition on ${missing.join(', ')}`, [state])
+                }
+            }
+        }
+
+        return diagnostics
+    }
+
+    /**
+     * Check whether the FSA is deterministic, that is, it has no ε-transitions and at most one
+     * transition per state and symbol. Missing transitions are allowed.
+     *
+     * @returns {Boolean} True if the FSA is deterministic
+     */
+    isDeterministic () {
+        return this.states.every(state => Object.keys(this.transitions[state] || {}).every(symbol => {
+            return symbol !== 'ε' && this.transitions[state][symbol].length <= 1
+        }))
+    }
+
     /**
      * Get the array of arrays that describes the powerset of this FSA's states
      *
@@ -109,19 +360,86 @@ export default class FSA {
     /**
      * This function implements E(R) from the NFA to DFA conversion description:
      *
-     * E(R) = R ∪ { q | there is an r in R with an ε transition to q }
+     * E(R) = R ∪ { q | q can be reached from some r in R by following zero or more ε transitions }
+     *
+     * The closure is computed as a fixpoint, so chains and cycles of ε-transitions are handled.
+     *
+     * @param {Array} states The set of states to find the ε-closure of (e.g. ['1', '2'])
+     * @returns {Array} The sorted array of states in the ε-closure
+     */
+    closure (states) {
+        const result = new Set()
+        const queue = []
+
+        for (const state of states) {
+            if (!this.states.includes(state)) throw new UnknownStateError(state)
+            if (!result.has(state)) {
+                result.add(state)
+                queue.push(state)
+            }
+        }
+
+        // Follow ε-transitions until no new states are found
+        while (queue.length > 0) {
+            const state = queue.shift()
+            if (!this.transitions[state] || !this.transitions[state]['ε']) continue
+
+            for (const next of this.transitions[state]['ε']) {
+                if (!result.has(next)) {
+                    result.add(next)
+                    queue.push(next)
+                }
+            }
+        }
+
+        return [...result].sort()
+    }
+
+    /**
+     * Find the states that can be reached from the given set of states by reading exactly one symbol,
+     * without following any ε-transitions
+     *
+     * @param {Array} states The set of states to move from
+     * @param {String} symbol The symbol to read
+     * @returns {Array} The sorted array of states that can be reached
+     */
+    move (states, symbol) {
+        const result = new Set()
+
+        for (const state of states) {
+            if (!this.states.includes(state)) throw new UnknownStateError(state)
+            if (!this.transitions[state] || !this.transitions[state][symbol]) continue
+
+            this.transitions[state][symbol].forEach(s => result.add(s))
+        }
+
+        return [...result].sort()
+    }
+
+    /**
+     * Find the set of states that an NFA is in after reading the given symbol from the given set of states,
+     * which is the ε-closure of the move on that symbol
+     *
+     * @param {Array} states The set of states the NFA is currently in
+     * @param {String} symbol The symbol to read
+     * @returns {Array} The sorted array of states the NFA can be in afterwards
+     */
+    getNextStates (states, symbol) {
+        if (!this.alphabet.includes(symbol)) throw new UnknownSymbolError(symbol)
+
+        return this.closure(this.move(states, symbol))
+    }
+
+    /**
+     * Find the ε-closure of a single state
      *
      * @param {String} fromState The label of the state to find epsilon-reachable states from
-     * @returns {Array} The array of states that can be reached via an ε-transition
+     * @returns {Array} The array of states that can be reached via ε-transitions, including the state itself
      */
     getEpsilonClosureStates (fromState) {
         if (!this.states.includes(fromState)) throw new UnknownStateError(fromState)
 
-        if (!this.transitions[fromState] || !this.transitions[fromState]['ε']) {
-            return [fromState]
-        } else {
-            return [fromState, ...this.transitions[fromState]['ε']]
-        }
+        return this.closure([fromState])
     }
 
     /**
@@ -129,29 +447,13 @@ export default class FSA {
      *
      * @param {String} fromState The label of the state to find reachable states from
      * @param {String} symbol The symbol on which to search the transitions
-     * @returns {Array} The list of states that can be reached from the given state
+     * @returns {Array} The list of states that can be reached from the given state, or ['Ø'] if there are none
      */
-    getReachableStates (fromState, symbol, list = []) {
+    getReachableStates (fromState, symbol) {
         if (!this.states.includes(fromState)) throw new UnknownStateError(fromState)
-        if (symbol !== 'ε' && !this.alphabet.includes(symbol)) throw new UnknownSymbolError(symbol)
-        if (list.length > 200) throw new Error('There is an infinite transition loop apparent in the NFA')
-
-        if (!this.transitions[fromState] || !this.transitions[fromState][symbol]) {
-            return symbol === 'ε' ? [] : ['Ø']
-        }
-
-        // Add the state's transitions on the given label to the list
-        list = list.concat(this.transitions[fromState][symbol])
-
-        // Check ε-transitions of the states that can be directly reached
-        for (const s of this.transitions[fromState][symbol]) {
-            if (this.transitions[s] && this.transitions[s]['ε'] !== undefined) {
-                // Recursively search for ε-transitions and add them to the list
-                list = this.getReachableStates(s, 'ε', list)
-            }
-        }
+        if (symbol === 'ε') return this.closure([fromState])
 
-        // Remove duplicate entries by spreading a set
-        return [...new Set(list)].sort()
+        const reachableStates = this.getNextStates([fromState], symbol)
+        return reachableStates.length > 0 ? reachableStates : ['Ø']
     }
 }
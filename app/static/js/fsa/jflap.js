@@ -0,0 +1,198 @@
+import FSA from './fsa.js'
+import Location from '../canvas/location.js'
+import { parsePDALabel, formatPDALabel } from './pda.js'
+
+// The JFLAP structure types that can be opened, along with the mode of the FSA they become
+const MODES = { fa: 'acceptor', mealy: 'mealy', moore: 'moore', pda: 'pda' }
+
+export default class JFLAPParser {
+    /**
+     * JFLAPParser reads a JFLAP (.jff) file. Finite automata, Mealy and Moore machines and pushdown automata
+     * are supported. JFLAP writes the empty word as an empty <read/> element, and reads a <read> of more than
+     * one character one character after the other, so such a transition becomes a chain of transitions
+     * through new states.
+     *
+     * @param {String} text The contents of the .jff file
+     */
+    constructor (text) {
+        this.text = text
+    }
+
+    /**
+     * Parse the file
+     *
+     * @returns {Object} The FSA and a map of state labels to their Locations
+     */
+    parse () {
+        const doc = new DOMParser().parseFromString(this.text, 'application/xml')
+        if (doc.querySelector('parsererror')) throw new Error('The file is not valid XML')
+
+        const structure = doc.querySelector('structure')
+        if (!structure) throw new Error('The file is not a JFLAP file: it has no <structure> element')
+
+        const type = this.getText(structure, 'type')
+        if (!MODES[type]) throw new Error(`JFLAP files of type ${type || 'unknown'} cannot be opened, only finite automata, Mealy and Moore machines and PDAs`)
+
+        // JFLAP 7 wraps the states and transitions in an <automaton> element, JFLAP 6 does not
+        const automaton = structure.querySelector('automaton') || structure
+
+        const fsa = new FSA([], [], {}, undefined, [])
+        fsa.mode = MODES[type]
+        const locations = {}
+        const labels = {}
+
+        for (const state of automaton.querySelectorAll('state')) {
+            const id = state.getAttribute('id')
+            let label = state.getAttribute('name') || id
+
+            // Names do not have to be unique in JFLAP, but labels do
+            if (fsa.states.includes(label)) label = `${label}_${id}`
+
+            labels[id] = label
+            fsa.states.push(label)
+            fsa.transitions[label] = {}
+            locations[label] = new Location(Number(this.getText(state, 'x')) || 0, Number(this.getText(state, 'y')) || 0)
+
+            if (state.querySelector('initial')) fsa.startState = label
+            if (state.querySelector('final')) fsa.acceptStates.push(label)
+            if (fsa.mode === 'moore') fsa.stateOutputs[label] = this.getText(state, 'output')
+        }
+
+        for (const transition of automaton.querySelectorAll('transition')) {
+            const from = labels[this.getText(transition, 'from')]
+            const to = labels[this.getText(transition, 'to')]
+            if (from === undefined || to === undefined) throw new Error('A transition goes from or to a state that does not exist')
+
+            const read = this.getText(transition, 'read')
+            const symbols = read === '' ? ['ε'] : [...read]
+
+            // The states the chain of transitions passes through, with the new states in between
+            const path = [from]
+            for (let i = 1; i < symbols.length; i++) path.push(this.addIntermediateState(fsa, locations, from, to, i / symbols.length))
+            path.push(to)
+
+            symbols.forEach((input, i) => {
+                // Only the first transition of the chain pops, pushes or writes output
+                let symbol = input
+                if (fsa.mode === 'pda') {
+                    // JFLAP writes the symbols to push with the top of the stack first, like the labels of the editor
+                    const push = i === 0 ? this.getText(transition, 'push') : ''
+                    const pop = i === 0 ? this.getText(transition, 'pop') : ''
+                    symbol = formatPDALabel({ input: input, pop: pop || 'ε', push: [...push] })
+                } else if (fsa.mode === 'mealy') {
+                    if (!fsa.transitionOutputs[path[i]]) fsa.transitionOutputs[path[i]] = {}
+                    fsa.transitionOutputs[path[i]][input] = i === 0 ? this.getText(transition, 'transout') : ''
+                }
+
+                const transitions = fsa.transitions[path[i]]
+                if (!transitions[symbol]) transitions[symbol] = []
+                if (!transitions[symbol].includes(path[i + 1])) transitions[symbol].push(path[i + 1])
+                if (input !== 'ε' && !fsa.alphabet.includes(input)) fsa.alphabet.push(input)
+            })
+        }
+
+        fsa.alphabet.sort()
+
+        return { fsa: fsa, locations: locations }
+    }
+
+    /**
+     * Add a state on the way of a transition that reads more than one character
+     *
+     * @param {FSA} fsa The FSA being read
+     * @param {Object} locations The map of state labels to Locations
+     * @param {String} from The state the transition starts from
+     * @param {String} to The state the transition ends in
+     * @param {Number} t How far along the transition the state is (between 0 and 1)
+     * @returns {String} The label of the new state
+     */
+    addIntermediateState (fsa, locations, from, to, t) {
+        let n = 1
+        while (fsa.states.includes(`${from}_${n}`)) n++
+        const label = `${from}_${n}`
+
+        fsa.states.push(label)
+        fsa.transitions[label] = {}
+        if (fsa.mode === 'moore') fsa.stateOutputs[label] = ''
+
+        // A loop is laid out in an arc above its state instead of on top of it
+        const start = locations[from]
+        const end = locations[to]
+        const loop = from === to
+        locations[label] = new Location(
+            start.x + (end.x - start.x) * t + (loop ? 120 * (t - 0.5) : 0),
+            start.y + (end.y - start.y) * t - (loop ? 120 * Math.sin(Math.PI * t) : 0)
+        )
+
+        return label
+    }
+
+    /**
+     * Get the text of the first child element with the given tag name
+     *
+     * @param {Element} elem The parent element
+     * @param {String} tag The tag name of the child
+     * @returns {String} The text of the child, which is empty if there is no such child
+     */
+    getText (elem, tag) {
+        const child = [...elem.children].find(e => e.tagName === tag)
+        return child ? child.textContent : ''
+    }
+}
+
+/**
+ * Write an FSA as a JFLAP (.jff) file
+ *
+ * @param {FSA} fsa The FSA
+ * @param {Object} locations A map of state labels to Locations
+ * @returns {String} The contents of the .jff file
+ */
+export function toJFLAP (fsa, locations) {
+    const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+    const element = (tag, text) => text === '' ? `<${tag}/>` : `<${tag}>${escape(text)}</${tag}>`
+    const empty = text => text === 'ε' ? '' : text
+    const types = { acceptor: 'fa', mealy: 'mealy', moore: 'moore', pda: 'pda' }
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+        '<structure>',
+        `\t${element('type', types[fsa.mode] || 'fa')}`,
+        '\t<automaton>'
+    ]
+
+    fsa.states.forEach((state, id) => {
+        const loc = locations[state] || new Location(0, 0)
+        lines.push(`\t\t<state id="${id}" name="${escape(state)}">`)
+        lines.push(`\t\t\t${element('x', loc.x.toFixed(1))}`)
+        lines.push(`\t\t\t${element('y', loc.y.toFixed(1))}`)
+        if (fsa.startState === state) lines.push('\t\t\t<initial/>')
+        if (fsa.acceptStates.includes(state)) lines.push('\t\t\t<final/>')
+        if (fsa.mode === 'moore') lines.push(`\t\t\t${element('output', fsa.getStateOutput(state))}`)
+        lines.push('\t\t</state>')
+    })
+
+    for (const from of fsa.states) {
+        for (const symbol of Object.keys(fsa.transitions[from] || {})) {
+            for (const to of fsa.transitions[from][symbol]) {
+                lines.push('\t\t<transition>')
+                lines.push(`\t\t\t${element('from', fsa.states.indexOf(from))}`)
+                lines.push(`\t\t\t${element('to', fsa.states.indexOf(to))}`)
+
+                if (fsa.mode === 'pda') {
+                    const [transition] = parsePDALabel(symbol)
+                    lines.push(`\t\t\t${element('read', empty(transition.input))}`)
+                    lines.push(`\t\t\t${element('pop', empty(transition.pop))}`)
+                    lines.push(`\t\t\t${element('push', transition.push.join(''))}`)
+                } else {
+                    lines.push(`\t\t\t${element('read', empty(symbol))}`)
+                    if (fsa.mode === 'mealy') lines.push(`\t\t\t${element('transout', fsa.getTransitionOutput(from, symbol))}`)
+                }
+
+                lines.push('\t\t</transition>')
+            }
+        }
+    }
+
+    lines.push('\t</automaton>', '</structure>')
+    return lines.join('\n')
+}
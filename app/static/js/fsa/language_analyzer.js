@@ -0,0 +1,244 @@
+export default class LanguageAnalyzer {
+    /**
+     * LanguageAnalyzer answers questions about the language of an FSA, such as whether it is empty or finite
+     * and which words it contains. The FSA is determinized on the fly: every state of the analysis is the set
+     * of states the FSA can be in after reading some word, so NFAs with ε-transitions work as well as DFAs.
+     *
+     * @param {FSA} fsa The FSA to analyze
+     */
+    constructor (fsa) {
+        this.fsa = fsa
+        this.alphabet = [...fsa.alphabet].sort()
+
+        // subsets maps the key of every set of states that has been explored to the set itself
+        this.subsets = {}
+
+        // successors maps a key and a symbol to the key of the next set of states
+        this.successors = {}
+
+        // counts maps a key and a length to the number of words of that length accepted from the set of states
+        this.counts = {}
+
+        this.start = this.addSubset(fsa.startState !== undefined ? fsa.closure([fsa.startState]) : [])
+    }
+
+    /**
+     * Register a set of states
+     *
+     * @param {Array} states The sorted set of states
+     * @returns {String} The key of the set
+     */
+    addSubset (states) {
+        const key = states.join(',')
+        if (!this.subsets[key]) this.subsets[key] = states
+
+        return key
+    }
+
+    /**
+     * Get the set of states that follows the given set on a symbol
+     *
+     * @param {String} key The key of the current set of states
+     * @param {String} symbol The symbol to read
+     * @returns {String} The key of the next set of states
+     */
+    next (key, symbol) {
+        if (!this.successors[key]) this.successors[key] = {}
+        if (this.successors[key][symbol] === undefined) {
+            this.successors[key][symbol] = this.addSubset(this.fsa.getNextStates(this.subsets[key], symbol))
+        }
+
+        return this.successors[key][symbol]
+    }
+
+    /**
+     * Check whether a set of states contains an accept state
+     *
+     * @param {String} key The key of the set of states
+     * @returns {Boolean} True if a word that leads to the set is accepted
+     */
+    isAccepting (key) {
+        return this.subsets[key].some(e => this.fsa.acceptStates.includes(e))
+    }
+
+    /**
+     * Find every set of states that can be reached from the start
+     *
+     * @returns {Array} The keys of the reachable sets, in breadth-first order
+     */
+    getReachableSubsets () {
+        const reachable = [this.start]
+
+        for (let i = 0; i < reachable.length; i++) {
+            for (const symbol of this.alphabet) {
+                const next = this.next(reachable[i], symbol)
+                if (!reachable.includes(next)) reachable.push(next)
+            }
+        }
+
+        return reachable
+    }
+
+    /**
+     * Find the reachable sets of states from which some word is accepted
+     *
+     * @returns {Set} The keys of the useful sets
+     */
+    getUsefulSubsets () {
+        const reachable = this.getReachableSubsets()
+        const useful = new Set(reachable.filter(e => this.isAccepting(e)))
+
+        let changed = true
+        while (changed) {
+            changed = false
+            for (const key of reachable.filter(e => !useful.has(e))) {
+                if (this.alphabet.some(symbol => useful.has(this.next(key, symbol)))) {
+                    useful.add(key)
+                    changed = true
+                }
+            }
+        }
+
+        return useful
+    }
+
+    /**
+     * Check whether the FSA accepts no words at all
+     *
+     * @returns {Boolean} True if the language is empty
+     */
+    isEmpty () {
+        return !this.getUsefulSubsets().has(this.start)
+    }
+
+    /**
+     * Check whether the FSA accepts finitely many words, which is the case unless a cycle can be
+     * reached from the start and leads on to an accepted word
+     *
+     * @returns {Boolean} True if the language is finite
+     */
+    isFinite () {
+        const useful = this.getUsefulSubsets()
+
+        // Depth-first search for a back edge among the useful sets
+        const visiting = new Set()
+        const done = new Set()
+        const hasCycle = key => {
+            visiting.add(key)
+            for (const symbol of this.alphabet) {
+                const next = this.next(key, symbol)
+                if (!useful.has(next) || done.has(next)) continue
+                if (visiting.has(next) || hasCycle(next)) return true
+            }
+            visiting.delete(key)
+            done.add(key)
+
+            return false
+        }
+
+        return !useful.has(this.start) || !hasCycle(this.start)
+    }
+
+    /**
+     * Count the words of the given length that are accepted from a set of states
+     *
+     * @param {String} key The key of the set of states
+     * @param {Number} length The length of the words
+     * @returns {Number} The number of accepted words
+     */
+    countFrom (key, length) {
+        const memo = `${key}|${length}`
+        if (this.counts[memo] === undefined) {
+            this.counts[memo] = length === 0
+                ? (this.isAccepting(key) ? 1 : 0)
+                : this.alphabet.reduce((sum, symbol) => sum + this.countFrom(this.next(key, symbol), length - 1), 0)
+        }
+
+        return this.counts[memo]
+    }
+
+    /**
+     * Count the accepted words of every length up to the given maximum
+     *
+     * @param {Number} maxLength The maximum length
+     * @returns {Array} The number of accepted words of length 0, 1, ..., maxLength
+     */
+    countWords (maxLength) {
+        const counts = []
+        for (let length = 0; length <= maxLength; length++) { counts.push(this.countFrom(this.start, length)) }
+
+        return counts
+    }
+
+    /**
+     * Find a shortest word that leads to a set of states matching the given condition
+     *
+     * @param {Function} matches Decides whether a set of states ends the search
+     * @returns {Array} The symbols of the word, or undefined if there is no such word
+     */
+    findShortestWord (matches) {
+        const words = { [this.start]: [] }
+        const queue = [this.start]
+
+        while (queue.length > 0) {
+            const key = queue.shift()
+            if (matches(key)) return words[key]
+
+            for (const symbol of this.alphabet) {
+                const next = this.next(key, symbol)
+                if (words[next] !== undefined) continue
+
+                words[next] = words[key].concat([symbol])
+                queue.push(next)
+            }
+        }
+    }
+
+    /**
+     * Find a shortest accepted word, choosing the first one in alphabetical order
+     *
+     * @returns {Array} The symbols of the word, or undefined if the language is empty
+     */
+    getShortestAcceptedWord () {
+        return this.findShortestWord(key => this.isAccepting(key))
+    }
+
+    /**
+     * Find a shortest rejected word over the alphabet, choosing the first one in alphabetical order
+     *
+     * @returns {Array} The symbols of the word, or undefined if every word is accepted
+     */
+    getShortestRejectedWord () {
+        return this.findShortestWord(key => !this.isAccepting(key))
+    }
+
+    /**
+     * List the first accepted words in shortlex order, that is, by length and then alphabetically
+     *
+     * @param {Number} limit The maximum number of words to list
+     * @returns {Array} The accepted words, each as a list of symbols
+     */
+    enumerate (limit) {
+        const words = []
+
+        // Collect the accepted words of a given length from a set of states, skipping dead ends using the counts
+        const collect = (key, length, prefix) => {
+            if (words.length >= limit || this.countFrom(key, length) === 0) return
+            if (length === 0) return words.push(prefix)
+
+            for (const symbol of this.alphabet) {
+                collect(this.next(key, symbol), length - 1, prefix.concat([symbol]))
+            }
+        }
+
+        // The gap between the lengths of two accepted words is never longer than the number of sets of states
+        const maxGap = this.getReachableSubsets().length
+        let gap = 0
+        for (let length = 0; words.length < limit && gap <= maxGap; length++) {
+            gap = this.countFrom(this.start, length) > 0 ? 0 : gap + 1
+            collect(this.start, length, [])
+        }
+
+        return words
+    }
+}
@@ -0,0 +1,171 @@
+import FSADescription from '../elements/fsa_description.js'
+
+// The number of canvas pixels per centimeter of the picture
+const PIXELS_PER_CM = 50
+
+// The canvas draws the start arrow from the top left, 100 pixels long, and self-loops from the left of a
+// state to its bottom
+const START_ARROW_ANGLE = 135
+const START_ARROW_LENGTH = 100
+const LOOP_OUT_ANGLE = 180
+const LOOP_IN_ANGLE = 270
+
+// The diameter of a state on the canvas
+const NODE_SIZE = 60
+
+// Characters that have a meaning of their own in LaTeX, or are not in its default font
+const LATEX_CHARACTERS = {
+    '\\': '\\textbackslash{}',
+    '{': '\\{',
+    '}': '\\}',
+    $: '\\$',
+    '&': '\\&',
+    '#': '\\#',
+    '%': '\\%',
+    _: '\\_',
+    '^': '\\^{}',
+    '~': '\\~{}',
+    '|': '\\textbar{}',
+    '<': '\\textless{}',
+    '>': '\\textgreater{}',
+    '–': '--',
+    ε: '$\\varepsilon$',
+    λ: '$\\lambda$',
+    δ: '$\\delta$',
+    Σ: '$\\Sigma$',
+    '∅': '$\\emptyset$',
+    Ø: '$\\emptyset$',
+    '→': '$\\to$',
+    '×': '$\\times$'
+}
+
+/**
+ * Escape text for LaTeX
+ *
+ * @param {String} text The text
+ * @returns {String} The text with every special character escaped
+ */
+export function escapeLaTeX (text) {
+    return [...String(text)].map(e => LATEX_CHARACTERS[e] || e).join('')
+}
+
+/**
+ * Draw a visual FSA as a picture of the TikZ automata library, with the states where they are on the canvas
+ * and the transitions curved the way the canvas curves them
+ *
+ * @param {VisualFSA} visual The visual FSA
+ * @returns {String} The tikzpicture environment
+ */
+export function toTikZ (visual) {
+    const fsa = visual.fsa
+    const cm = n => Math.round(n / PIXELS_PER_CM * 100) / 100
+
+    // TikZ node names cannot contain every character a state can, so the states are numbered
+    const names = {}
+    visual.nodes.forEach((node, i) => { names[node.label] = `s${i}` })
+
+    const lines = [
+        `\\begin{tikzpicture}[>=Stealth, auto, every state/.style={minimum size=${cm(NODE_SIZE)}cm, inner sep=1pt}]`
+    ]
+
+    for (const node of visual.nodes) {
+        const options = ['state']
+        if (node.acceptState) options.push('accepting')
+        if (fsa.mode === 'moore') options.push(`label=below:{${escapeLaTeX(`λ = ${fsa.getStateOutput(node.label) || 'ε'}`)}}`)
+
+        // The canvas measures y downwards, TikZ upwards
+        lines.push(`    \\node[${options.join(', ')}] (${names[node.label]}) at (${cm(node.loc.x)}, ${cm(-node.loc.y)}) {${escapeLaTeX(node.label)}};`)
+    }
+
+    if (names[fsa.startState] !== undefined) {
+        lines.push(`    \\draw[<-] (${names[fsa.startState]}) -- ++(${START_ARROW_ANGLE}:${cm(START_ARROW_LENGTH)}cm);`)
+    }
+
+    const edges = []
+    for (const node of visual.nodes) {
+        for (const to of Object.keys(node.transitionText)) {
+            if (node.transitionText[to].length === 0) continue
+
+            const label = `node {${escapeLaTeX(visual.getTransitionLabel(node.label, node.transitionText[to]))}}`
+            if (to === node.label) {
+                edges.push(`(${names[node.label]}) edge[loop, out=${LOOP_OUT_ANGLE}, in=${LOOP_IN_ANGLE}] ${label} ()`)
+                continue
+            }
+
+            // The curve leaves and enters the states at the angle between the line through them and the
+            // control point of the canvas's curve, which always bends to the left
+            const toNode = visual.getNode(to)
+            const line = visual.getQuadraticLine(node.loc, toNode.loc, node, toNode)
+            const midpoint = { x: (node.loc.x + toNode.loc.x) / 2, y: (node.loc.y + toNode.loc.y) / 2 }
+            const height = Math.hypot(line.cp.x - midpoint.x, line.cp.y - midpoint.y)
+            const angle = Math.round(Math.atan2(2 * height, node.loc.distance(toNode.loc)) * 180 / Math.PI)
+
+            edges.push(`(${names[node.label]}) edge[bend left=${angle}] ${label} (${names[to]})`)
+        }
+    }
+
+    if (edges.length > 0) {
+        lines.push('    \\path[->]')
+        edges.forEach((e, i) => lines.push(`        ${e}${i === edges.length - 1 ? ';' : ''}`))
+    }
+
+    lines.push('\\end{tikzpicture}')
+    return lines.join('\n')
+}
+
+/**
+ * Write the δ table of an FSA, as shown below its canvas, as a tabular environment
+ *
+ * @param {FSA} fsa The FSA
+ * @param {Boolean} isNFA Whether the FSA is an NFA, whose table has a column for ε
+ * @returns {String} The tabular environment
+ */
+export function toTabular (fsa, isNFA) {
+    const table = FSADescription.getTable(fsa, isNFA)
+    const row = cells => `    ${cells.join(' & ')} \\\\`
+
+    const lines = [
+        `\\begin{tabular}{${'c'.repeat(table.header.length).replace('c', 'c|')}}`,
+        row(table.header.map(e => e === '' ? '$\\delta$' : escapeLaTeX(e))),
+        '    \\hline'
+    ]
+    for (const cells of table.rows) {
+        lines.push(row(cells.map(escapeLaTeX)))
+    }
+
+    lines.push('\\end{tabular}')
+    return lines.join('\n')
+}
+
+/**
+ * Write the descriptions of the steps of a conversion as an enumerated list
+ *
+ * @param {Array} steps The steps, each with a description
+ * @returns {String} The enumerate environment
+ */
+export function toStepList (steps) {
+    return [
+        '\\begin{enumerate}',
+        ...steps.map(e => `    \\item ${escapeLaTeX(e.desc)}`),
+        '\\end{enumerate}'
+    ].join('\n')
+}
+
+/**
+ * Write a visual FSA as a LaTeX fragment: the picture, the δ table and, if there is one, the step log of
+ * the conversion that built it
+ *
+ * @param {VisualFSA} visual The visual FSA
+ * @param {Object} context Whether the FSA is an NFA, and the steps of the conversion so far
+ * @returns {String} The LaTeX source
+ */
+export function toLaTeX (visual, context) {
+    const sections = [
+        '% Requires \\usepackage{tikz} and \\usetikzlibrary{automata, arrows.meta}',
+        toTikZ(visual),
+        toTabular(visual.fsa, context.isNFA)
+    ]
+    if (context.steps.length > 0) sections.push(toStepList(context.steps))
+
+    return sections.join('\n\n') + '\n'
+}
@@ -5,10 +5,21 @@ export default class NFAConverter {
      * NFAConverter provides the ability to convert the given NFA to a DFA in incremental steps
      *
      * @param {FSA} nfa The NFA to convert to a DFA
+     * @param {Object} options The conversion options
+     * @param {String} options.mode Either 'powerset' to start from every subset of the NFA's states, or 'reachable'
+     *                              to only build the subsets that are discovered from the start state
+     * @param {Boolean} options.complete Whether transitions to the empty subset Ø are kept, which makes the DFA
+     *                                   complete, or left out to build a partial DFA
      */
-    constructor (nfa) {
+    constructor (nfa, options = {}) {
         this.nfa = nfa
 
+        // mode decides how the states of the DFA are generated
+        this.mode = options.mode || 'powerset'
+
+        // keepTrapState decides whether the DFA keeps Ø as a trap state
+        this.keepTrapState = options.complete !== false
+
         // dfa is the FSA that NFAConverter performs each step upon
         this.dfa = undefined
 
@@ -21,9 +32,9 @@ export default class NFAConverter {
         // alphabet_index holds which symbol will be used to generate the next transition
         this.alphabet_index = 0
 
-        // unreachableStates is the array of states that are unreachable
+        // uselessStates is the array of states that are to be deleted, along with the reason for each
         // This is generated after all transitions are generated
-        this.unreachableStates = undefined
+        this.uselessStates = undefined
 
         // redundantStates is the array of states that can be combined into a single state
         this.redundantStates = undefined
@@ -36,55 +47,36 @@ export default class NFAConverter {
      */
     getNextStep () {
         if (this.dfa === undefined) return 'initialize'
-        if (this.state_index < this.dfa.states.length) return 'add_transition'
+        if (this.state_index < this.dfa.states.length) {
+            const state = this.dfa.states[this.state_index]
+            const symbol = this.dfa.alphabet[this.alphabet_index]
+            const target = this.getTransitionTarget(state, symbol)
 
-        if (!this.unreachableStates) { this.unreachableStates = this.getUnreachableStates() }
-        if (this.unreachableStates.length > 0) return 'delete_state'
+            // A partial DFA has no transitions to Ø
+            if (!this.keepTrapState && target === 'Ø') return 'omit_transition'
+
+            // In reachable mode, a transition to a subset that has not been seen yet first adds that subset
+            if (this.mode === 'reachable' && !this.dfa.states.includes(target)) return 'discover_state'
+
+            return 'add_transition'
+        }
+
+        if (!this.uselessStates) { this.uselessStates = this.getUselessStates() }
+        if (this.uselessStates.length > 0) return 'delete_state'
 
         if (!this.redundantStates) { this.redundantStates = this.getRedundantStates() }
         if (this.redundantStates.length > 0) return 'merge_states'
     }
 
     /**
-     * Get all the unreachable states of the converted DFA
+     * Get the states of the converted DFA that are to be deleted, along with the reason for deleting each.
+     * States that cannot be reached from the start state are always deleted. A partial DFA also loses the
+     * states from which no accept state can be reached, while a complete DFA needs them as trap states.
      *
-     * @param {FSA} tempDFA A temporary DFA to work off of
-     * @param {Array} list The accumulating list of unreachable nodes. It is appended to recursively.
-     * @returns {Array} The list of states without any incoming transitions
+     * @returns {Array} The list of useless states (e.g. [{ state: '2,3', reason: 'unreachable' }])
      */
-    getUnreachableStates (tempDFA = undefined, list = []) {
-        if (!tempDFA) {
-            tempDFA = this.dfa.clone()
-        }
-
-        const nodesWithIncomingEdges = []
-
-        // Iterate through all transitions and add the end nodes to the nodesWithIncomingEdges array
-        for (const state of tempDFA.states) {
-            for (const symbol of tempDFA.alphabet) {
-                const node = tempDFA.transitions[state][symbol].join(',')
-
-                // Don't consider nodes that have a transition back to themselves
-                if (node !== state) nodesWithIncomingEdges.push(node)
-            }
-        }
-
-        // The list of unreachable states are those that don't exist in the nodesWithIncomingEdges array
-        // Make sure the start state is always in the final DFA by filtering it out of the resulting array
-        const nodesWithoutIncomingEdges = tempDFA.states.filter(s => !nodesWithIncomingEdges.includes(s) && s !== tempDFA.startState)
-
-        // If there were unreachable nodes, delete them and then recursively search for more
-        if (nodesWithoutIncomingEdges.length > 0) {
-            // Remove the nodes from the temporary DFA
-            nodesWithoutIncomingEdges.forEach(n => tempDFA.removeState(n))
-
-            // Recursively search for more unreachable nodes after deletion
-            // Concat the unreachable nodes to the running list
-            list = this.getUnreachableStates(tempDFA, list.concat(nodesWithoutIncomingEdges))
-        }
-
-        // Remove duplicates from the list by spreading it as a Set
-        return [...new Set(list)]
+    getUselessStates () {
+        return this.dfa.getUselessStates().filter(e => !this.keepTrapState || e.reason === 'unreachable')
     }
 
     /**
@@ -115,9 +107,11 @@ export default class NFAConverter {
                     let redundant = true
 
                     // 2. Every symbol in the alphabet must have a transition within the two states
+                    // A partial DFA may be missing transitions, which never stay within the two states
+                    const target = (state, symbol) => (tempDFA.transitions[state][symbol] || [])[0]
                     for (const symbol of tempDFA.alphabet) {
-                        if ((tempDFA.transitions[s1][symbol][0] !== s1 && tempDFA.transitions[s1][symbol][0] !== s2) ||
-                            (tempDFA.transitions[s2][symbol][0] !== s2 && tempDFA.transitions[s2][symbol][0] !== s1)) {
+                        if ((target(s1, symbol) !== s1 && target(s1, symbol) !== s2) ||
+                            (target(s2, symbol) !== s2 && target(s2, symbol) !== s1)) {
                             redundant = false
                         }
                     }
@@ -136,13 +130,43 @@ export default class NFAConverter {
         return list
     }
 
+    /**
+     * Find the DFA state that the given DFA state transitions to on the given symbol
+     *
+     * @param {String} state The DFA state (e.g. '1,2')
+     * @param {String} symbol The symbol to transition on
+     * @returns {String} The DFA state that is reached (e.g. '2,3'), which is Ø if no NFA state can be reached
+     */
+    getTransitionTarget (state, symbol) {
+        // Ø has an infinite loopback on every symbol
+        if (state === 'Ø') return 'Ø'
+
+        // The DFA state is the ε-closure of every NFA state reachable from any member of the subset
+        // e.g. '1,2' is the current state; therefore, we need the states reachable from both '1' and '2'
+        const reachableStates = this.nfa.getNextStates(state.split(','), symbol)
+
+        return reachableStates.length > 0 ? reachableStates.join(',') : 'Ø'
+    }
+
+    /**
+     * Whether the given DFA state contains one of the NFA's accept states
+     *
+     * @param {String} state The DFA state (e.g. '1,2')
+     * @returns {Boolean} True if the DFA state should be an accept state
+     */
+    isAcceptingState (state) {
+        return state.split(',').some(s => this.nfa.acceptStates.includes(s))
+    }
+
     /**
      * The first step in the conversion process is to generate the initial DFA as the powerset
-     * of states in the NFA
+     * of states in the NFA. In reachable mode, the initial DFA only holds the start state.
      *
      * @returns {Array} The DFA after this step and the step that was performed
      */
     initializeDFA () {
+        if (this.mode === 'reachable') return this.initializeReachableDFA()
+
         const powerset = this.nfa.getPowersetOfStates()
 
         // The new list of states is the powerset of the original states
@@ -158,9 +182,9 @@ export default class NFAConverter {
             }
         }
 
-        // The new start state is the states that are reachable from the original start state
+        // The new start state is the ε-closure of the original start state
         // e.g. '1' has an ε-transition to '3'; therefore, the new start state is '1,3'
-        const startState = [...new Set(this.nfa.getEpsilonClosureStates(this.nfa.startState))].sort().join(',')
+        const startState = this.nfa.closure([this.nfa.startState]).join(',')
 
         // The new list of accept states are any states from the powerset with the original accept state in them
         // e.g. '1' is the accept state; therefore, '1', '1,2', '1,3', and '1,2,3' are accept states
@@ -183,6 +207,68 @@ export default class NFAConverter {
         return step
     }
 
+    /**
+     * Generate the initial DFA of the reachable mode, which only holds the start state
+     *
+     * @returns {Array} The DFA after this step and the step that was performed
+     */
+    initializeReachableDFA () {
+        const startState = this.nfa.closure([this.nfa.startState]).join(',')
+
+        const transitions = {}
+        transitions[startState] = {}
+        for (const e of this.nfa.alphabet) {
+            transitions[startState][e] = undefined
+        }
+
+        const acceptStates = this.isAcceptingState(startState) ? [startState] : []
+        this.dfa = new FSA([startState], this.nfa.alphabet, transitions, startState, acceptStates)
+
+        const step = [this.dfa.clone(), {
+            type: 'initialize',
+            desc: `Initialize the DFA with the start state {${startState}}`
+        }]
+        this.steps.push(step)
+        return step
+    }
+
+    /**
+     * Add the subset reached by the next transition as a new state of the DFA. The transition itself
+     * is added by the following step.
+     *
+     * @param {Number} prevStateIndex The state_index prior to this step
+     * @param {Number} prevAlphabetIndex The alphabet_index prior to this step
+     *
+     * @returns {Array} The DFA before this step and the step that was performed
+     */
+    discoverNextState (prevStateIndex, prevAlphabetIndex) {
+        const fromState = this.dfa.states[this.state_index]
+        const symbol = this.dfa.alphabet[this.alphabet_index]
+        const state = this.getTransitionTarget(fromState, symbol)
+        const accept = this.isAcceptingState(state)
+
+        const step = [this.dfa.clone(), {
+            type: 'discover_state',
+            desc: `Discover ${accept ? 'accept ' : ''}state {${state}} reached from {${fromState}} on input ${symbol}`,
+            state: state,
+            fromState: fromState,
+            symbol: symbol,
+            accept: accept,
+            prevStateIndex: prevStateIndex,
+            prevAlphabetIndex: prevAlphabetIndex
+        }]
+        this.steps.push(step)
+
+        this.dfa.states.push(state)
+        this.dfa.transitions[state] = {}
+        for (const e of this.dfa.alphabet) {
+            this.dfa.transitions[state][e] = undefined
+        }
+        if (accept) this.dfa.acceptStates.push(state)
+
+        return step
+    }
+
     /**
      * Generate the next transition in the DFA by following the state_index and alphabet_index
      *
@@ -195,32 +281,8 @@ export default class NFAConverter {
         const state = this.dfa.states[this.state_index]
         const symbol = this.dfa.alphabet[this.alphabet_index]
 
-        if (this.state_index === 0) {
-            // If we're at state index 0, we're at Ø. We need an infinite loopback on Ø.
-            this.dfa.transitions['Ø'][symbol] = ['Ø']
-        } else {
-            let reachableStates = []
-
-            // Get all reachable states for every individual state
-            // e.g. '1,2' is the current state; therefore, we need to concatenate the reachable
-            //      states from '1' with the reachable states from '2'
-            state.split(',').forEach(s => {
-                reachableStates = reachableStates.concat(this.nfa.getReachableStates(s, symbol))
-            })
-
-            // Remove any duplicates and sort the states alphabetically
-            reachableStates = [...new Set(reachableStates)].sort()
-
-            // Remove Ø if the state has other possibilites
-            if (reachableStates.some(e => e !== 'Ø')) {
-                reachableStates = reachableStates.filter(e => e !== 'Ø')
-            } else {
-                reachableStates = ['Ø']
-            }
-
-            // Update the transition
-            this.dfa.transitions[state][symbol] = [reachableStates.join(',')]
-        }
+        // Update the transition
+        this.dfa.transitions[state][symbol] = [this.getTransitionTarget(state, symbol)]
 
         this.alphabet_index++
 
@@ -239,18 +301,48 @@ export default class NFAConverter {
     }
 
     /**
-     * Delete the next unreachable state at the beginning of the unreachableStates array
+     * Leave out the next transition because it leads to Ø, which keeps the DFA partial
+     *
+     * @param {Number} prevStateIndex The state_index prior to this step
+     * @param {Number} prevAlphabetIndex The alphabet_index prior to this step
+     *
+     * @returns {Array} The DFA after this step and the step that was performed
+     */
+    omitNextTransition (prevStateIndex, prevAlphabetIndex) {
+        const state = this.dfa.states[this.state_index]
+        const symbol = this.dfa.alphabet[this.alphabet_index]
+
+        this.dfa.transitions[state][symbol] = []
+        this.alphabet_index++
+
+        const step = [this.dfa.clone(), {
+            type: 'omit_transition',
+            desc: `Leave out the transition from {${state}} on input ${symbol}, since it would lead to Ø`,
+            fromState: state,
+            symbol: symbol,
+            prevStateIndex: prevStateIndex,
+            prevAlphabetIndex: prevAlphabetIndex
+        }]
+        this.steps.push(step)
+        return step
+    }
+
+    /**
+     * Delete the next useless state at the beginning of the uselessStates array
      *
      * @returns {Array} The DFA after this step and the step that was performed
      */
-    deleteNextUnreachableState () {
-        // Pop the first state from unreachableStates
-        const stateToDelete = this.unreachableStates.shift()
+    deleteNextUselessState () {
+        // Pop the first state from uselessStates
+        const { state: stateToDelete, reason } = this.uselessStates.shift()
 
         const step = [this.dfa.clone(), {
             type: 'delete_state',
-            desc: `Delete unreachable state {${stateToDelete}}`,
+            desc: reason === 'unreachable'
+                ? `Delete unreachable state {${stateToDelete}}, since it cannot be reached from the start state`
+                : `Delete useless state {${stateToDelete}}, since no accept state can be reached from it`,
             state: stateToDelete,
+            reason: reason,
             transitions: this.dfa.transitions[stateToDelete] !== undefined ? Object.assign({}, this.dfa.transitions[stateToDelete]) : undefined
         }]
         this.steps.push(step)
@@ -297,11 +389,17 @@ export default class NFAConverter {
         case 'initialize':
             return this.initializeDFA()
 
+        case 'discover_state':
+            return this.discoverNextState(prevStateIndex, prevAlphabetIndex)
+
         case 'add_transition':
             return this.addNextTransition(prevStateIndex, prevAlphabetIndex)
 
+        case 'omit_transition':
+            return this.omitNextTransition(prevStateIndex, prevAlphabetIndex)
+
         case 'delete_state':
-            return this.deleteNextUnreachableState()
+            return this.deleteNextUselessState()
 
         case 'merge_states':
             return this.mergeNextRedundantStates()
@@ -325,19 +423,22 @@ export default class NFAConverter {
             this.steps = []
             this.state_index = 0
             this.alphabet_index = 0
-            this.unreachableStates = undefined
+            this.uselessStates = undefined
+            this.redundantStates = undefined
 
             return [prevDFA, prevStep]
         }
 
-        case 'add_transition': {
+        case 'discover_state':
+        case 'add_transition':
+        case 'omit_transition': {
             this.state_index = prevStep.prevStateIndex
             this.alphabet_index = prevStep.prevAlphabetIndex
             break
         }
 
         case 'delete_state': {
-            this.unreachableStates.unshift(prevStep.state)
+            this.uselessStates.unshift({ state: prevStep.state, reason: prevStep.reason })
             break
         }
 
@@ -0,0 +1,293 @@
+import FSA from './fsa.js'
+import NFAConverter from './nfa_converter.js'
+
+/**
+ * Get a name for a new state that does not clash with the states of an FSA
+ *
+ * @param {FSA} fsa The FSA
+ * @param {String} name The preferred name
+ * @returns {String} The name of the new state
+ */
+function getUniqueName (fsa, name) {
+    while (fsa.states.includes(name)) { name += '′' }
+
+    return name
+}
+
+/**
+ * Convert an FSA into an equivalent DFA with the subset construction, only keeping the reachable subsets.
+ * An FSA that is already deterministic is returned as a copy with its state names unchanged.
+ *
+ * @param {FSA} fsa The FSA
+ * @returns {FSA} The equivalent DFA
+ */
+export function determinize (fsa) {
+    if (fsa.startState === undefined) throw new Error('The automaton has no start state')
+    if (fsa.isDeterministic()) return fsa.clone()
+
+    const converter = new NFAConverter(fsa.clone(), { mode: 'reachable' })
+    converter.complete()
+
+    return converter.dfa
+}
+
+/**
+ * Add a trap state to a DFA so that every state has a transition on every symbol of the given alphabet
+ *
+ * @param {FSA} dfa The DFA
+ * @param {Array} alphabet The alphabet to complete the DFA over, which defaults to the DFA's own alphabet
+ * @returns {FSA} The complete DFA, which is a copy of the given DFA if nothing was missing
+ */
+export function complete (dfa, alphabet = dfa.alphabet) {
+    const result = dfa.clone()
+    result.alphabet = [...new Set(dfa.alphabet.concat(alphabet))].sort()
+
+    const missing = []
+    for (const state of result.states) {
+        if (!result.transitions[state]) result.transitions[state] = {}
+        for (const symbol of result.alphabet) {
+            const targets = result.transitions[state][symbol]
+            if (!targets || targets.length === 0) missing.push([state, symbol])
+        }
+    }
+    if (missing.length === 0) return result
+
+    // The empty subset Ø from the subset construction already is a trap state, so it is reused
+    const isTrap = state => !result.acceptStates.includes(state) &&
+        Object.values(result.transitions[state]).every(targets => targets.every(e => e === state))
+    const trap = result.states.includes('Ø') && isTrap('Ø') ? 'Ø' : getUniqueName(result, 'Ø')
+
+    if (!result.states.includes(trap)) {
+        result.states.push(trap)
+        result.transitions[trap] = {}
+    }
+
+    // The trap state loops back to itself on every symbol
+    for (const symbol of result.alphabet) { result.transitions[trap][symbol] = [trap] }
+    for (const [state, symbol] of missing) { result.transitions[state][symbol] = [trap] }
+
+    return result
+}
+
+/**
+ * Build the product of two FSAs over the union of their alphabets. Both FSAs are determinized and completed
+ * first, and only the pairs of states that can be reached from the pair of start states are kept. Product
+ * states are named (p,q), with subsets of NFA states written as {1,2}.
+ *
+ * @param {FSA} first The first FSA
+ * @param {FSA} second The second FSA
+ * @param {Function} isAccepting Decides whether a pair is accepting, given whether each of its states accepts
+ * @returns {FSA} The product DFA
+ */
+export function product (first, second, isAccepting) {
+    const alphabet = [...new Set(first.alphabet.concat(second.alphabet))].sort()
+    const automata = [complete(determinize(first), alphabet), complete(determinize(second), alphabet)]
+
+    const format = state => state.includes(',') ? `{${state}}` : state
+    const name = pair => `(${format(pair[0])},${format(pair[1])})`
+
+    const start = automata.map(e => e.startState)
+    const pairs = [start]
+    const result = new FSA([name(start)], alphabet, {}, name(start), [])
+
+    for (let i = 0; i < pairs.length; i++) {
+        const pair = pairs[i]
+        const state = name(pair)
+        result.transitions[state] = {}
+
+        if (isAccepting(automata[0].acceptStates.includes(pair[0]), automata[1].acceptStates.includes(pair[1]))) {
+            result.acceptStates.push(state)
+        }
+
+        for (const symbol of alphabet) {
+            const next = automata.map((e, j) => e.transitions[pair[j]][symbol][0])
+            if (!result.states.includes(name(next))) {
+                result.states.push(name(next))
+                pairs.push(next)
+            }
+
+            result.transitions[state][symbol] = [name(next)]
+        }
+    }
+
+    return result
+}
+
+/**
+ * Remove every useless state, that is, every state that cannot be reached from the start state or
+ * cannot reach an accept state. The language stays the same.
+ *
+ * @param {FSA} fsa The FSA
+ * @returns {FSA} The trimmed FSA
+ */
+export function trim (fsa) {
+    if (fsa.startState === undefined) throw new Error('The automaton has no start state')
+
+    const result = fsa.clone()
+    fsa.getUselessStates().forEach(e => result.removeState(e.state))
+
+    return result
+}
+
+/**
+ * Build a DFA for the union L1 ∪ L2
+ *
+ * @param {FSA} first The FSA accepting L1
+ * @param {FSA} second The FSA accepting L2
+ * @returns {FSA} The product DFA
+ */
+export function union (first, second) {
+    return product(first, second, (a, b) => a || b)
+}
+
+/**
+ * Build a DFA for the intersection L1 ∩ L2
+ *
+ * @param {FSA} first The FSA accepting L1
+ * @param {FSA} second The FSA accepting L2
+ * @returns {FSA} The product DFA
+ */
+export function intersection (first, second) {
+    return product(first, second, (a, b) => a && b)
+}
+
+/**
+ * Build a DFA for the difference L1 \ L2
+ *
+ * @param {FSA} first The FSA accepting L1
+ * @param {FSA} second The FSA accepting L2
+ * @returns {FSA} The product DFA
+ */
+export function difference (first, second) {
+    return product(first, second, (a, b) => a && !b)
+}
+
+/**
+ * Build a DFA for the complement ¬L by determinizing, completing and flipping the accept states
+ *
+ * @param {FSA} fsa The FSA accepting L
+ * @param {Array} alphabet The alphabet to take the complement in, which defaults to the FSA's own alphabet
+ * @returns {FSA} The complement DFA
+ */
+export function complement (fsa, alphabet = fsa.alphabet) {
+    const result = complete(determinize(fsa), alphabet)
+    result.acceptStates = result.states.filter(e => !result.acceptStates.includes(e))
+
+    return result
+}
+
+/**
+ * Add a transition to an FSA, creating the entry for the state and symbol if needed
+ *
+ * @param {FSA} fsa The FSA
+ * @param {String} from The origin state
+ * @param {String} symbol The symbol of the transition, or ε
+ * @param {String} to The destination state
+ */
+function addTransition (fsa, from, symbol, to) {
+    if (!fsa.transitions[from]) fsa.transitions[from] = {}
+    if (!fsa.transitions[from][symbol]) fsa.transitions[from][symbol] = []
+    if (!fsa.transitions[from][symbol].includes(to)) fsa.transitions[from][symbol].push(to)
+}
+
+/**
+ * Add a new state with the given name to an FSA, renaming it if the name is taken
+ *
+ * @param {FSA} fsa The FSA
+ * @param {String} name The preferred name
+ * @returns {String} The name of the new state
+ */
+function addState (fsa, name) {
+    const state = getUniqueName(fsa, name)
+    fsa.states.push(state)
+    fsa.transitions[state] = {}
+
+    return state
+}
+
+/**
+ * Build an ε-NFA for the concatenation L1 L2. The states of the second FSA keep their names, with a prime
+ * added to the names that are already used by the first FSA.
+ *
+ * @param {FSA} first The FSA accepting L1
+ * @param {FSA} second The FSA accepting L2
+ * @returns {FSA} The ε-NFA
+ */
+export function concatenate (first, second) {
+    if (first.startState === undefined || second.startState === undefined) throw new Error('The automaton has no start state')
+
+    const result = first.clone()
+    result.alphabet = [...new Set(first.alphabet.concat(second.alphabet))].sort()
+
+    const names = {}
+    for (const state of second.states) { names[state] = addState(result, state) }
+
+    for (const from of second.states) {
+        for (const symbol of Object.keys(second.transitions[from] || {})) {
+            second.transitions[from][symbol].forEach(to => addTransition(result, names[from], symbol, names[to]))
+        }
+    }
+
+    // Every word of L1 may continue with a word of L2
+    for (const state of first.acceptStates) { addTransition(result, state, 'ε', names[second.startState]) }
+    result.acceptStates = second.acceptStates.map(e => names[e])
+
+    return result
+}
+
+/**
+ * Build an ε-NFA for the Kleene star L*, which adds a new accepting start state for the empty word
+ *
+ * @param {FSA} fsa The FSA accepting L
+ * @returns {FSA} The ε-NFA
+ */
+export function star (fsa) {
+    const result = plus(fsa)
+    const start = addState(result, 'S')
+
+    addTransition(result, start, 'ε', fsa.startState)
+    result.startState = start
+    result.acceptStates.push(start)
+
+    return result
+}
+
+/**
+ * Build an ε-NFA for the Kleene plus L+, which lets every accept state start over from the start state
+ *
+ * @param {FSA} fsa The FSA accepting L
+ * @returns {FSA} The ε-NFA
+ */
+export function plus (fsa) {
+    if (fsa.startState === undefined) throw new Error('The automaton has no start state')
+
+    const result = fsa.clone()
+    for (const state of fsa.acceptStates) { addTransition(result, state, 'ε', fsa.startState) }
+
+    return result
+}
+
+/**
+ * Build an ε-NFA for the reversal of L by flipping every transition and adding a new start state with
+ * ε-transitions to the old accept states. The old start state becomes the only accept state.
+ *
+ * @param {FSA} fsa The FSA accepting L
+ * @returns {FSA} The ε-NFA
+ */
+export function reverse (fsa) {
+    if (fsa.startState === undefined) throw new Error('The automaton has no start state')
+
+    const result = new FSA([...fsa.states], [...fsa.alphabet], {}, undefined, [fsa.startState])
+    for (const state of fsa.states) { result.transitions[state] = {} }
+
+    for (const from of fsa.states) {
+        for (const symbol of Object.keys(fsa.transitions[from] || {})) {
+            fsa.transitions[from][symbol].forEach(to => addTransition(result, to, symbol, from))
+        }
+    }
+
+    result.startState = addState(result, 'S')
+    for (const state of fsa.acceptStates) { addTransition(result, result.startState, 'ε', state) }
+
+    return result
+}
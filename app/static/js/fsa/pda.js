@@ -0,0 +1,139 @@
+import { TransitionLabelError } from '../util/errors.js'
+
+// Words that stand for the empty word ε
+const EPSILON_TOKENS = ['ε', 'eps', '']
+
+// The arrows that separate what a transition reads from what it pushes
+const ARROWS = ['→', '->']
+
+export default class PDA {
+    /**
+     * PDA represents a pushdown automaton, which is a finite automaton with a stack. Every transition reads
+     * an input symbol or ε, pops a stack symbol or ε, and pushes a word onto the stack. A word is accepted
+     * if the PDA can read all of it and end up in an accept state.
+     *
+     * @param {Array} states The array of states in this PDA (e.g. ['1', '2'])
+     * @param {Array} transitions The transitions (e.g. [{ from: '1', to: '2', input: 'a', pop: 'Z', push: ['A', 'Z'] }]),
+     *                            where the first symbol to push ends up on top of the stack
+     * @param {String} startState The name of the start state
+     * @param {Array} acceptStates The array of accept states
+     * @param {String} startStackSymbol The symbol on the stack before the first step
+     */
+    constructor (states, transitions, startState, acceptStates, startStackSymbol = 'Z') {
+        this.states = states
+        this.transitions = transitions
+        this.startState = startState
+        this.acceptStates = acceptStates
+        this.startStackSymbol = startStackSymbol
+    }
+
+    /**
+     * Build a PDA from the FSA of the editor, whose transitions are keyed by their PDA labels
+     * (e.g. transitions['1']['a, Z → AZ'] => ['2'])
+     *
+     * @param {FSA} fsa The FSA in PDA mode
+     * @returns {PDA} The PDA
+     */
+    static fromFSA (fsa) {
+        const transitions = []
+        for (const from of fsa.states) {
+            for (const label of Object.keys(fsa.transitions[from] || {})) {
+                const [transition] = parsePDALabel(label)
+                for (const to of fsa.transitions[from][label]) {
+                    transitions.push(Object.assign({ from: from, to: to }, transition))
+                }
+            }
+        }
+
+        return new PDA([...fsa.states], transitions, fsa.startState, [...fsa.acceptStates])
+    }
+
+    /**
+     * Get the input symbols the PDA reads
+     *
+     * @returns {Array} The input alphabet, without ε
+     */
+    getInputAlphabet () {
+        return [...new Set(this.transitions.map(e => e.input).filter(e => e !== 'ε'))].sort()
+    }
+
+    /**
+     * Get every configuration the PDA can move to from the given configuration in a single step
+     *
+     * @param {Object} configuration The state, the number of symbols read and the stack (with its top last)
+     * @param {Array} symbols The input word split into symbols
+     * @returns {Array} The next configurations, each with the transition that led to it
+     */
+    getNextConfigurations (configuration, symbols) {
+        const { state, position, stack } = configuration
+        const next = []
+
+        for (const transition of this.transitions.filter(e => e.from === state)) {
+            if (transition.input !== 'ε' && symbols[position] !== transition.input) continue
+            if (transition.pop !== 'ε' && stack[stack.length - 1] !== transition.pop) continue
+
+            const rest = transition.pop === 'ε' ? stack : stack.slice(0, -1)
+            next.push({
+                state: transition.to,
+                position: position + (transition.input === 'ε' ? 0 : 1),
+                stack: rest.concat([...transition.push].reverse()),
+                transition: transition
+            })
+        }
+
+        return next
+    }
+}
+
+/**
+ * Parse the label of one or more PDA transitions, separated by semicolons. A transition is written as
+ * 'a, X → YZ': it reads a, pops X and pushes YZ so that Y ends up on top. Both a and X may be ε (or eps),
+ * and pushing ε pushes nothing. Stack symbols to push are single characters, unless they are separated by
+ * spaces (e.g. 'a, X → Y1 Z'). '->' may be used instead of '→'.
+ *
+ * @param {String} text The label (e.g. 'a, Z → AZ; b, A → ε')
+ * @returns {Array} The transitions (e.g. [{ input: 'a', pop: 'Z', push: ['A', 'Z'] }])
+ */
+export function parsePDALabel (text) {
+    const transitions = []
+    let offset = 0
+
+    for (const part of text.split(';')) {
+        const arrow = ARROWS.map(e => ({ arrow: e, index: part.indexOf(e) })).find(e => e.index >= 0)
+        if (!arrow) throw new TransitionLabelError('Missing → between what the transition reads and what it pushes', offset + part.length)
+
+        const reads = part.slice(0, arrow.index)
+        const comma = reads.indexOf(',')
+        if (comma < 0) throw new TransitionLabelError('Missing comma between the input symbol and the stack symbol to pop', offset + arrow.index)
+
+        const symbol = e => EPSILON_TOKENS.includes(e.trim()) ? 'ε' : e.trim()
+        const input = symbol(reads.slice(0, comma))
+        const pop = symbol(reads.slice(comma + 1))
+        if (/\s/.test(input) || /\s/.test(pop)) {
+            throw new TransitionLabelError('The input symbol and the stack symbol to pop cannot contain spaces', offset)
+        }
+
+        const pushed = part.slice(arrow.index + arrow.arrow.length).trim()
+        let push = []
+        if (!EPSILON_TOKENS.includes(pushed)) push = /\s/.test(pushed) ? pushed.split(/\s+/) : [...pushed]
+
+        transitions.push({ input: input, pop: pop, push: push })
+        offset += part.length + 1
+    }
+
+    return transitions
+}
+
+/**
+ * Write a PDA transition as the label parsePDALabel() reads back
+ *
+ * @param {Object} transition The input symbol, the stack symbol to pop and the symbols to push
+ * @returns {String} The label (e.g. 'a, Z → AZ')
+ */
+export function formatPDALabel (transition) {
+    const push = transition.push.length === 0
+        ? 'ε'
+        : transition.push.join(transition.push.some(e => e.length > 1) ? ' ' : '')
+
+    return `${transition.input}, ${transition.pop} → ${push}`
+}
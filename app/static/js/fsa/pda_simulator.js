@@ -0,0 +1,171 @@
+import WordSimulator from './word_simulator.js'
+
+// The largest number of configurations a single step may reach before the search gives up
+const MAX_CONFIGURATIONS = 5000
+
+export default class PDASimulator {
+    /**
+     * PDASimulator runs an input word through a PDA. Since a PDA may have a choice of transitions, every run
+     * is explored at once, breadth-first: each step of the simulation applies one transition to every
+     * configuration reached by the previous step. A configuration that was already reached before is not
+     * explored again. Since a PDA can keep pushing without reading any input, the search stops after a
+     * bounded number of steps, in which case the word is neither accepted nor rejected.
+     *
+     * @param {PDA} pda The PDA to run the word through
+     * @param {String} word The input word
+     * @param {Number} maxSteps The largest number of steps to explore
+     */
+    constructor (pda, word, maxSteps = 100) {
+        if (pda.startState === undefined) throw new Error('The automaton has no start state')
+
+        this.pda = pda
+        this.maxSteps = maxSteps
+        this.symbols = WordSimulator.tokenize(word, pda.getInputAlphabet())
+
+        // frames holds the configurations reached after every step, starting with the initial configuration
+        this.frames = [[{ state: pda.startState, position: 0, stack: [pda.startStackSymbol] }]]
+
+        // result is 'accepted', 'rejected', or 'undecided' if the search stopped before it found an answer
+        this.result = undefined
+
+        this.explore()
+
+        // position is the number of steps that have been taken so far
+        this.position = 0
+    }
+
+    /**
+     * Explore the configurations breadth-first until the word is accepted, every run is stuck, or the search
+     * reaches its bounds
+     */
+    explore () {
+        const key = e => `${e.state}|${e.position}|${e.stack.join(' ')}`
+        const seen = new Set(this.frames[0].map(key))
+
+        while (!this.result) {
+            const frame = this.frames[this.frames.length - 1]
+
+            if (frame.some(e => this.isAccepting(e))) {
+                this.result = 'accepted'
+            } else if (frame.length === 0) {
+                this.result = 'rejected'
+            } else if (this.frames.length - 1 >= this.maxSteps || frame.length > MAX_CONFIGURATIONS) {
+                this.result = 'undecided'
+            } else {
+                const next = []
+                for (const configuration of frame) {
+                    for (const e of this.pda.getNextConfigurations(configuration, this.symbols)) {
+                        if (seen.has(key(e))) continue
+
+                        seen.add(key(e))
+                        next.push(Object.assign(e, { parent: configuration }))
+                    }
+                }
+
+                this.frames.push(next)
+            }
+        }
+    }
+
+    /**
+     * Whether the PDA accepts in the given configuration, which requires all of the word to be read
+     *
+     * @param {Object} configuration The configuration
+     * @returns {Boolean} True if the configuration is accepting
+     */
+    isAccepting (configuration) {
+        return configuration.position === this.symbols.length && this.pda.acceptStates.includes(configuration.state)
+    }
+
+    /**
+     * Get the configurations at the current step
+     *
+     * @returns {Array} The configurations, each with a state, the number of symbols read and the stack (with its top last)
+     */
+    getConfigurations () {
+        return this.frames[this.position]
+    }
+
+    /**
+     * Get the states of the configurations at the current step
+     *
+     * @returns {Array} The active states
+     */
+    getActiveStates () {
+        return [...new Set(this.getConfigurations().map(e => e.state))]
+    }
+
+    /**
+     * Get the run that leads to the first accepting configuration
+     *
+     * @returns {Array} The configurations of the accepting run, or undefined if the word was not accepted
+     */
+    getAcceptingRun () {
+        let configuration = this.frames[this.frames.length - 1].find(e => this.isAccepting(e))
+        if (!configuration) return
+
+        const run = []
+        while (configuration) {
+            run.unshift(configuration)
+            configuration = configuration.parent
+        }
+
+        return run
+    }
+
+    /**
+     * Whether every step has been taken
+     *
+     * @returns {Boolean} True if there are no steps left
+     */
+    isFinished () {
+        return this.position === this.frames.length - 1
+    }
+
+    /**
+     * Whether the PDA accepts the whole word
+     *
+     * @returns {Boolean} True if the word is accepted
+     */
+    isAccepted () {
+        return this.result === 'accepted'
+    }
+
+    /**
+     * Take the next step
+     *
+     * @returns {Boolean} Whether there was a step left to take
+     */
+    stepForward () {
+        if (this.isFinished()) return false
+
+        this.position++
+        return true
+    }
+
+    /**
+     * Undo the previous step
+     *
+     * @returns {Boolean} Whether there was a step to undo
+     */
+    stepBackward () {
+        if (this.position === 0) return false
+
+        this.position--
+        return true
+    }
+
+    /**
+     * Take the remaining steps at once
+     */
+    complete () {
+        this.position = this.frames.length - 1
+    }
+
+    /**
+     * Go back to the initial configuration
+     */
+    reset () {
+        this.position = 0
+    }
+}
@@ -0,0 +1,222 @@
+import { RegexSyntaxError } from '../util/errors.js'
+
+// Characters that cannot be used as symbols without escaping them with a backslash
+const OPERATORS = ['|', '*', '+', '?', '(', ')', '\\']
+
+// Binding strength of each node type, used to decide where parentheses are needed
+const PRECEDENCE = { union: 0, concat: 1, star: 2, plus: 2, optional: 2, symbol: 3, epsilon: 3, empty: 3 }
+
+export default class RegexParser {
+    /**
+     * RegexParser parses a regular expression into an abstract syntax tree. The supported syntax is:
+     *
+     *     r|s    union
+     *     rs     concatenation
+     *     r*     Kleene star
+     *     r+     one or more
+     *     r?     optional
+     *     (r)    grouping
+     *     ε      the empty word (as are () and an empty expression)
+     *     ∅      the empty language
+     *     \c     the operator character c as a symbol
+     *
+     * Whitespace is ignored. The syntax tree is made of nodes such as { type: 'symbol', symbol: 'a' },
+     * { type: 'star', expr: node } and { type: 'union', left: node, right: node }.
+     *
+     * @param {String} text The regular expression (e.g. '(a|b)*abb')
+     */
+    constructor (text) {
+        this.text = text
+        this.position = 0
+    }
+
+    /**
+     * Parse the whole regular expression
+     *
+     * @returns {Object} The root node of the syntax tree
+     */
+    parse () {
+        this.position = 0
+        const ast = this.parseUnion()
+
+        this.skipWhitespace()
+        if (this.position < this.text.length) {
+            throw new RegexSyntaxError(`Unexpected '${this.text[this.position]}'`, this.position)
+        }
+
+        return ast
+    }
+
+    skipWhitespace () {
+        while (this.position < this.text.length && /\s/.test(this.text[this.position])) { this.position++ }
+    }
+
+    /**
+     * Look at the next non-whitespace character without consuming it
+     *
+     * @returns {String} The next character, or undefined at the end of the expression
+     */
+    peek () {
+        this.skipWhitespace()
+        return this.text[this.position]
+    }
+
+    parseUnion () {
+        let left = this.parseConcat()
+
+        while (this.peek() === '|') {
+            this.position++
+            left = { type: 'union', left: left, right: this.parseConcat() }
+        }
+
+        return left
+    }
+
+    parseConcat () {
+        let left
+
+        while (this.peek() !== undefined && this.peek() !== '|' && this.peek() !== ')') {
+            const right = this.parseRepeat()
+            left = left ? { type: 'concat', left: left, right: right } : right
+        }
+
+        // An empty expression (e.g. in '(|a)') matches the empty word
+        return left || { type: 'epsilon' }
+    }
+
+    parseRepeat () {
+        let expr = this.parseAtom()
+
+        const types = { '*': 'star', '+': 'plus', '?': 'optional' }
+        while (types[this.peek()]) {
+            expr = { type: types[this.text[this.position]], expr: expr }
+            this.position++
+        }
+
+        return expr
+    }
+
+    parseAtom () {
+        const char = this.peek()
+        const start = this.position
+
+        if (char === '(') {
+            this.position++
+            const expr = this.parseUnion()
+            if (this.peek() !== ')') throw new RegexSyntaxError('Missing closing parenthesis for the \'(\'', start)
+            this.position++
+            return expr
+        }
+
+        if (char === '\\') {
+            if (this.position + 1 >= this.text.length) throw new RegexSyntaxError('Nothing to escape', start)
+            this.position += 2
+            return { type: 'symbol', symbol: this.text[start + 1] }
+        }
+
+        if (OPERATORS.includes(char)) throw new RegexSyntaxError(`Unexpected '${char}'`, start)
+
+        this.position++
+        if (char === 'ε') return { type: 'epsilon' }
+        if (char === '∅') return { type: 'empty' }
+        return { type: 'symbol', symbol: char }
+    }
+}
+
+/**
+ * Convert a syntax tree back into a regular expression, only adding the parentheses that are needed
+ *
+ * @param {Object} ast The root node of the syntax tree
+ * @returns {String} The regular expression
+ */
+export function regexToString (ast) {
+    const wrap = (node, minPrecedence) => {
+        const str = regexToString(node)
+        return PRECEDENCE[node.type] < minPrecedence ? `(${str})` : str
+    }
+
+    switch (ast.type) {
+    case 'symbol':
+        return OPERATORS.includes(ast.symbol) ? `\\${ast.symbol}` : ast.symbol
+    case 'epsilon':
+        return 'ε'
+    case 'empty':
+        return '∅'
+    case 'union':
+        return `${wrap(ast.left, PRECEDENCE.union)}|${wrap(ast.right, PRECEDENCE.union)}`
+    case 'concat':
+        return `${wrap(ast.left, PRECEDENCE.concat)}${wrap(ast.right, PRECEDENCE.concat)}`
+    case 'star':
+        return `${wrap(ast.expr, PRECEDENCE.star + 1)}*`
+    case 'plus':
+        return `${wrap(ast.expr, PRECEDENCE.plus + 1)}+`
+    case 'optional':
+        return `${wrap(ast.expr, PRECEDENCE.optional + 1)}?`
+    }
+}
+
+/**
+ * Simplify a syntax tree with algebraic identities of regular expressions, such as ∅|r = r, εr = r,
+ * (r*)* = r* and rr* = r+, so that generated expressions stay readable
+ *
+ * @param {Object} ast The root node of the syntax tree
+ * @returns {Object} The root node of the simplified syntax tree
+ */
+export function simplifyRegex (ast) {
+    const same = (a, b) => regexToString(a) === regexToString(b)
+
+    switch (ast.type) {
+    case 'union': {
+        const left = simplifyRegex(ast.left)
+        const right = simplifyRegex(ast.right)
+
+        if (left.type === 'empty') return right
+        if (right.type === 'empty') return left
+        if (same(left, right)) return left
+
+        // ε|r is r?, and ε|rr* is r*
+        const optional = r => {
+            if (r.type === 'star' || r.type === 'optional') return r
+            if (r.type === 'plus') return { type: 'star', expr: r.expr }
+            return { type: 'optional', expr: r }
+        }
+        if (left.type === 'epsilon') return optional(right)
+        if (right.type === 'epsilon') return optional(left)
+
+        return { type: 'union', left: left, right: right }
+    }
+
+    case 'concat': {
+        const left = simplifyRegex(ast.left)
+        const right = simplifyRegex(ast.right)
+
+        if (left.type === 'empty' || right.type === 'empty') return { type: 'empty' }
+        if (left.type === 'epsilon') return right
+        if (right.type === 'epsilon') return left
+
+        // rr* and r*r are both r+, and r*r* is r*
+        if (right.type === 'star' && same(left, right.expr)) return { type: 'plus', expr: left }
+        if (left.type === 'star' && same(left.expr, right)) return { type: 'plus', expr: right }
+        if (left.type === 'star' && same(left, right)) return left
+
+        return { type: 'concat', left: left, right: right }
+    }
+
+    case 'star':
+    case 'plus':
+    case 'optional': {
+        const expr = simplifyRegex(ast.expr)
+
+        if (expr.type === 'empty') return ast.type === 'plus' ? expr : { type: 'epsilon' }
+        if (expr.type === 'epsilon') return expr
+        if (expr.type === ast.type) return expr
+
+        // Any mix of repetition operators that can skip and repeat the expression is a star
+        if (['star', 'plus', 'optional'].includes(expr.type)) return { type: 'star', expr: expr.expr }
+
+        return { type: ast.type, expr: expr }
+    }
+    }
+
+    return ast
+}
@@ -0,0 +1,323 @@
+import FSA from './fsa.js'
+import { regexToString, simplifyRegex } from './regex.js'
+import { UnknownStateError } from '../util/errors.js'
+
+export default class StateEliminator {
+    /**
+     * StateEliminator converts an FSA into a regular expression in incremental steps. The FSA is first turned
+     * into a generalized NFA (GNFA) whose edges are labelled with regular expressions, with a new start state
+     * and a single new accept state. The original states are then eliminated one at a time, rerouting the
+     * paths through each eliminated state, until a single edge from the start to the accept state remains.
+     *
+     * @param {FSA} fsa The FSA to convert
+     * @param {Object} options The conversion options
+     * @param {Array} options.order The states in the order they should be eliminated. States that are left out
+     *                              are eliminated afterwards, choosing the state with the fewest paths through it.
+     * @param {Object} options.locations A map of state labels to Locations, passed on to the visual FSA
+     */
+    constructor (fsa, options = {}) {
+        // A regular expression reads every character as a symbol of its own, so 'else' would be read back as e·l·s·e
+        const symbol = fsa.alphabet.find(e => [...e].length > 1)
+        if (symbol !== undefined) throw new Error(`The symbol ${symbol} has more than one character, so it cannot be written in a regular expression`)
+
+        this.input = fsa
+        this.order = options.order || []
+        this.locations = options.locations || {}
+
+        // edges maps the GNFA's transitions from one state to another to the syntax tree of their regular expression
+        this.edges = undefined
+
+        // states is the list of GNFA states, startState and acceptState are the two states that were added
+        this.states = undefined
+        this.startState = undefined
+        this.acceptState = undefined
+
+        // remaining is the list of original states that are still to be eliminated
+        this.remaining = undefined
+
+        // selected is the state that will be eliminated by the next step
+        this.selected = undefined
+
+        // result is the syntax tree of the final regular expression
+        this.result = undefined
+
+        // steps is the list of steps that have occurred thus far, along with the eliminator's state before each step
+        this.steps = []
+    }
+
+    /**
+     * Get a name for a new state that does not clash with the FSA's states
+     *
+     * @param {String} name The preferred name
+     * @returns {String} The name of the new state
+     */
+    getUniqueName (name) {
+        while (this.input.states.includes(name)) { name += '′' }
+
+        return name
+    }
+
+    /**
+     * Add a regular expression to the edge between two states, uniting it with the existing edge if there is one
+     *
+     * @param {String} from The origin state
+     * @param {String} to The destination state
+     * @param {Object} ast The syntax tree of the regular expression
+     */
+    addEdge (from, to, ast) {
+        if (!this.edges[from]) this.edges[from] = {}
+
+        const existing = this.edges[from][to]
+        this.edges[from][to] = simplifyRegex(existing ? { type: 'union', left: existing, right: ast } : ast)
+    }
+
+    /**
+     * Get the states with an edge into the given state, not counting a self-loop
+     *
+     * @param {String} state The state
+     * @returns {Array} The states with an incoming edge
+     */
+    getIncomingStates (state) {
+        return this.states.filter(e => e !== state && this.edges[e] && this.edges[e][state])
+    }
+
+    /**
+     * Get the states with an edge from the given state, not counting a self-loop
+     *
+     * @param {String} state The state
+     * @returns {Array} The states with an outgoing edge
+     */
+    getOutgoingStates (state) {
+        return this.states.filter(e => e !== state && this.edges[state] && this.edges[state][e])
+    }
+
+    /**
+     * Choose the next state to eliminate, following the chosen order where possible
+     *
+     * @returns {String} The state to eliminate next
+     */
+    chooseNextState () {
+        const preferred = this.order.find(e => this.remaining.includes(e))
+        if (preferred !== undefined) return preferred
+
+        // Otherwise eliminate the state that creates the fewest new paths
+        const cost = s => this.getIncomingStates(s).length * this.getOutgoingStates(s).length
+        return this.remaining.reduce((best, s) => cost(s) < cost(best) ? s : best)
+    }
+
+    /**
+     * Convert the GNFA into an FSA whose transitions are labelled with regular expressions
+     *
+     * @returns {FSA} The GNFA as an FSA
+     */
+    toFSA () {
+        const transitions = {}
+        const alphabet = new Set()
+
+        for (const from of this.states) {
+            transitions[from] = {}
+            for (const to of this.getOutgoingStates(from).concat(this.edges[from] && this.edges[from][from] ? [from] : [])) {
+                const label = regexToString(this.edges[from][to])
+                if (!transitions[from][label]) transitions[from][label] = []
+                transitions[from][label].push(to)
+                if (label !== 'ε') alphabet.add(label)
+            }
+        }
+
+        return new FSA([...this.states], [...alphabet].sort(), transitions, this.startState, [this.acceptState])
+    }
+
+    /**
+     * Freeze the eliminator's progress so that a step can be undone
+     *
+     * @returns {Object} The copy of the eliminator's progress
+     */
+    snapshot () {
+        const copy = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+
+        return {
+            edges: copy(this.edges),
+            states: copy(this.states),
+            startState: this.startState,
+            acceptState: this.acceptState,
+            remaining: copy(this.remaining),
+            selected: this.selected,
+            result: copy(this.result)
+        }
+    }
+
+    /**
+     * Build the GNFA from the FSA
+     *
+     * @returns {Array} The GNFA after this step and the step that was performed
+     */
+    initializeGNFA () {
+        const prevState = this.snapshot()
+        const fsa = this.input
+
+        if (fsa.startState === undefined) throw new Error('The automaton has no start state')
+        for (const state of this.order) {
+            if (!fsa.states.includes(state)) throw new UnknownStateError(state)
+        }
+
+        this.startState = this.getUniqueName('S')
+        this.acceptState = this.getUniqueName('F')
+        this.states = [this.startState, ...fsa.states, this.acceptState]
+        this.remaining = [...fsa.states]
+        this.edges = {}
+
+        // Parallel transitions between the same states are united into a single edge
+        for (const from of fsa.states) {
+            for (const symbol of Object.keys(fsa.transitions[from] || {})) {
+                for (const to of fsa.transitions[from][symbol]) {
+                    this.addEdge(from, to, symbol === 'ε' ? { type: 'epsilon' } : { type: 'symbol', symbol: symbol })
+                }
+            }
+        }
+
+        this.addEdge(this.startState, fsa.startState, { type: 'epsilon' })
+        for (const state of fsa.acceptStates) {
+            this.addEdge(state, this.acceptState, { type: 'epsilon' })
+        }
+
+        const step = {
+            type: 'load_gnfa',
+            desc: `Build the GNFA with new start state ${this.startState} and new accept state ${this.acceptState}`,
+            locations: this.locations
+        }
+        this.steps.push([prevState, step])
+        return [this.toFSA(), step]
+    }
+
+    /**
+     * Select the next state to eliminate and describe the paths that will be rerouted around it
+     *
+     * @returns {Array} The GNFA after this step and the step that was performed
+     */
+    selectNextState () {
+        const prevState = this.snapshot()
+        const state = this.chooseNextState()
+        this.selected = state
+
+        const loop = this.edges[state] && this.edges[state][state]
+        const loopText = loop ? ` ${regexToString(simplifyRegex({ type: 'star', expr: loop }))}` : ''
+
+        const step = {
+            type: 'select_state',
+            desc: `Select state ${state} to eliminate: every path p → ${state} → q is replaced by R(p,${state})${loopText} R(${state},q)`,
+            state: state
+        }
+        this.steps.push([prevState, step])
+        return [this.toFSA(), step]
+    }
+
+    /**
+     * Eliminate the selected state, rerouting every path through it
+     *
+     * @returns {Array} The GNFA after this step and the step that was performed
+     */
+    eliminateSelectedState () {
+        const prevState = this.snapshot()
+        const state = this.selected
+
+        const loop = this.edges[state] && this.edges[state][state]
+        const contributions = []
+
+        for (const from of this.getIncomingStates(state)) {
+            for (const to of this.getOutgoingStates(state)) {
+                let via = this.edges[from][state]
+                if (loop) via = { type: 'concat', left: via, right: { type: 'star', expr: loop } }
+                via = { type: 'concat', left: via, right: this.edges[state][to] }
+
+                this.addEdge(from, to, via)
+                contributions.push({ from: from, to: to, regex: regexToString(this.edges[from][to]) })
+            }
+        }
+
+        // Remove the state and every edge that touches it
+        delete this.edges[state]
+        for (const from of Object.keys(this.edges)) { delete this.edges[from][state] }
+        this.states = this.states.filter(e => e !== state)
+        this.remaining = this.remaining.filter(e => e !== state)
+        this.selected = undefined
+
+        const changes = contributions.map(e => `${e.from} → ${e.to} becomes ${e.regex}`)
+        const step = {
+            type: 'eliminate_state',
+            desc: `Eliminate state ${state}${changes.length > 0 ? `: ${changes.join('; ')}` : ' without rerouting any paths'}`,
+            state: state,
+            contributions: contributions
+        }
+        this.steps.push([prevState, step])
+        return [this.toFSA(), step]
+    }
+
+    /**
+     * Read the regular expression off the last remaining edge
+     *
+     * @returns {Array} The GNFA after this step and the step that was performed
+     */
+    finish () {
+        const prevState = this.snapshot()
+
+        const edge = this.edges[this.startState] && this.edges[this.startState][this.acceptState]
+        this.result = edge || { type: 'empty' }
+
+        const step = {
+            type: 'regex_result',
+            desc: `The regular expression is ${regexToString(this.result)}`,
+            regex: regexToString(this.result)
+        }
+        this.steps.push([prevState, step])
+        return [this.toFSA(), step]
+    }
+
+    /**
+     * Get the regular expression once every state has been eliminated
+     *
+     * @returns {String} The regular expression, or undefined if the conversion has not finished
+     */
+    getResult () {
+        return this.result ? regexToString(this.result) : undefined
+    }
+
+    /**
+     * Perform a single step in the conversion to a regular expression
+     *
+     * @returns {Array} The new GNFA and the step that was performed
+     */
+    stepForward () {
+        if (!this.edges) return this.initializeGNFA()
+        if (this.selected !== undefined) return this.eliminateSelectedState()
+        if (this.remaining.length > 0) return this.selectNextState()
+        if (!this.result) return this.finish()
+
+        return [undefined, undefined]
+    }
+
+    /**
+     * Undo the previous step in the conversion process
+     *
+     * @returns {Array} The previous GNFA and the step that was undone
+     */
+    stepBackward () {
+        if (this.steps.length === 0) { return }
+        const [prevState, prevStep] = this.steps.pop()
+
+        for (const key of Object.keys(prevState)) { this[key] = prevState[key] }
+
+        return [this.edges ? this.toFSA() : new FSA([], [], {}, undefined, []), prevStep]
+    }
+
+    /**
+     * Complete the entire conversion process
+     *
+     * @returns {String} The regular expression
+     */
+    complete () {
+        let step = true
+        while (step) { step = this.stepForward()[1] }
+
+        return this.getResult()
+    }
+}
@@ -0,0 +1,96 @@
+import WordSimulator from './word_simulator.js'
+import PDASimulator from './pda_simulator.js'
+import PDA from './pda.js'
+
+export default class TestSuite {
+    /**
+     * TestSuite holds a list of input words along with whether each is expected to be accepted,
+     * and runs them against one or more FSAs
+     *
+     * @param {Array} cases The test cases (e.g. [{ word: 'ab', accept: true }])
+     */
+    constructor (cases = []) {
+        this.cases = cases
+    }
+
+    /**
+     * Add a test case to the suite
+     *
+     * @param {String} word The input word
+     * @param {Boolean} accept Whether the word is expected to be accepted
+     */
+    add (word, accept) {
+        this.cases.push({ word: word, accept: accept })
+    }
+
+    /**
+     * Remove the test case at the given index
+     *
+     * @param {Number} index The index of the test case
+     */
+    remove (index) {
+        this.cases.splice(index, 1)
+    }
+
+    /**
+     * Find the first symbol at which the runs of a word diverge. Runs diverge where the automata
+     * disagree on whether the prefix read so far is accepted, or, for a single run, where the
+     * automaton gets stuck without any active states.
+     *
+     * @param {Array} simulators The WordSimulators that ran the word
+     * @returns {Object} The index and symbol of the divergence, or undefined if the runs never diverge or
+     *                   cannot be compared
+     */
+    static findDivergence (simulators) {
+        const symbols = simulators[0].symbols
+
+        // Automata with different alphabets may split the word into different symbols, so their runs have no
+        // common steps to compare
+        const sameSymbols = s => s.symbols.length === symbols.length && s.symbols.every((e, i) => e === symbols[i])
+        if (!simulators.every(sameSymbols)) return undefined
+
+        for (let i = 1; i <= symbols.length; i++) {
+            const verdicts = simulators.map(s => s.isAccepting(s.frames[i]))
+            const stuck = simulators.some(s => s.frames[i].length === 0 && s.frames[i - 1].length > 0)
+
+            if (stuck || verdicts.some(e => e !== verdicts[0])) {
+                return { index: i - 1, symbol: symbols[i - 1] }
+            }
+        }
+    }
+
+    /**
+     * Run every test case against the given FSAs
+     *
+     * @param {Object} automata A map of names to the FSAs to test (e.g. { NFA: nfa, DFA: dfa })
+     * @param {Number} stepBound The largest number of steps to explore when running a word through a PDA
+     * @returns {Array} For each test case, the verdict of every FSA (undefined if a PDA could not decide
+     *                  within the step bound), whether all of them matched the expected verdict, whether
+     *                  the only mismatches were undecided, and the divergence of the runs if they did not match
+     */
+    run (automata, stepBound) {
+        const names = Object.keys(automata)
+
+        return this.cases.map(testCase => {
+            const simulators = names.map(e => automata[e].mode === 'pda'
+                ? new PDASimulator(PDA.fromFSA(automata[e]), testCase.word, stepBound)
+                : new WordSimulator(automata[e], testCase.word))
+
+            const verdicts = {}
+            simulators.forEach((s, i) => {
+                verdicts[names[i]] = s instanceof PDASimulator && s.result === 'undecided' ? undefined : s.isAccepted()
+            })
+
+            const passed = names.every(e => verdicts[e] === testCase.accept)
+            const undecided = !passed && names.every(e => verdicts[e] === undefined || verdicts[e] === testCase.accept)
+            return {
+                testCase: testCase,
+                verdicts: verdicts,
+                passed: passed,
+                undecided: undecided,
+                // The runs of a PDA have no single position in the word to compare
+                divergence: passed || simulators.some(e => e instanceof PDASimulator) ? undefined : TestSuite.findDivergence(simulators)
+            }
+        })
+    }
+}
@@ -0,0 +1,146 @@
+import FSA from './fsa.js'
+import { regexToString } from './regex.js'
+
+export default class ThompsonConstruction {
+    /**
+     * ThompsonConstruction builds an ε-NFA from the syntax tree of a regular expression. Every node of the
+     * tree becomes a fragment with a single start state and a single accept state, and fragments are glued
+     * together with ε-transitions. Each glued fragment is recorded as a step so it can be animated.
+     *
+     * @param {Object} ast The root node of the syntax tree from RegexParser.parse()
+     */
+    constructor (ast) {
+        this.ast = ast
+
+        // fsa is the NFA that is built up fragment by fragment
+        this.fsa = new FSA([], [], {}, undefined, [])
+
+        // steps is the list of [fsa, step] pairs, one for every fragment that was built
+        this.steps = []
+    }
+
+    /**
+     * Create a new state in the NFA
+     *
+     * @returns {String} The label of the new state
+     */
+    newState () {
+        const state = (this.fsa.states.length + 1).toString()
+        this.fsa.states.push(state)
+        this.fsa.transitions[state] = {}
+
+        return state
+    }
+
+    /**
+     * Add a transition to the NFA
+     *
+     * @param {String} from The origin state
+     * @param {String} to The destination state
+     * @param {String} symbol The symbol of the transition, or ε
+     */
+    addTransition (from, to, symbol) {
+        if (!this.fsa.transitions[from][symbol]) this.fsa.transitions[from][symbol] = []
+        this.fsa.transitions[from][symbol].push(to)
+
+        if (symbol !== 'ε' && !this.fsa.alphabet.includes(symbol)) {
+            this.fsa.alphabet.push(symbol)
+            this.fsa.alphabet.sort()
+        }
+    }
+
+    /**
+     * Build the fragment for a node of the syntax tree and record it as a step
+     *
+     * @param {Object} node The node of the syntax tree
+     * @returns {Object} The start and accept state of the fragment
+     */
+    buildFragment (node) {
+        let fragment
+        let desc
+
+        switch (node.type) {
+        case 'symbol':
+        case 'epsilon': {
+            const symbol = node.type === 'symbol' ? node.symbol : 'ε'
+            fragment = { start: this.newState(), accept: this.newState() }
+            this.addTransition(fragment.start, fragment.accept, symbol)
+            desc = `Build a transition on ${symbol}`
+            break
+        }
+
+        case 'empty': {
+            fragment = { start: this.newState(), accept: this.newState() }
+            desc = 'Build two unconnected states for ∅'
+            break
+        }
+
+        case 'concat': {
+            const left = this.buildFragment(node.left)
+            const right = this.buildFragment(node.right)
+            this.addTransition(left.accept, right.start, 'ε')
+            fragment = { start: left.start, accept: right.accept }
+            desc = 'Concatenate by connecting the accept state of the first part to the start of the second'
+            break
+        }
+
+        case 'union': {
+            const left = this.buildFragment(node.left)
+            const right = this.buildFragment(node.right)
+            fragment = { start: this.newState(), accept: this.newState() }
+            this.addTransition(fragment.start, left.start, 'ε')
+            this.addTransition(fragment.start, right.start, 'ε')
+            this.addTransition(left.accept, fragment.accept, 'ε')
+            this.addTransition(right.accept, fragment.accept, 'ε')
+            desc = 'Unite both parts between a new start and a new accept state'
+            break
+        }
+
+        case 'star':
+        case 'plus':
+        case 'optional': {
+            const inner = this.buildFragment(node.expr)
+            fragment = { start: this.newState(), accept: this.newState() }
+            this.addTransition(fragment.start, inner.start, 'ε')
+            this.addTransition(inner.accept, fragment.accept, 'ε')
+
+            // The star and optional fragments may skip the inner part, the star and plus fragments may repeat it
+            if (node.type !== 'plus') this.addTransition(fragment.start, fragment.accept, 'ε')
+            if (node.type !== 'optional') this.addTransition(inner.accept, inner.start, 'ε')
+
+            desc = {
+                star: 'Repeat the part zero or more times',
+                plus: 'Repeat the part one or more times',
+                optional: 'Make the part optional'
+            }[node.type]
+            break
+        }
+        }
+
+        const fsa = this.fsa.clone()
+        fsa.startState = fragment.start
+        fsa.acceptStates = [fragment.accept]
+
+        this.steps.push([fsa, {
+            type: 'thompson_fragment',
+            desc: `${desc}: ${regexToString(node)}`,
+            start: fragment.start,
+            accept: fragment.accept
+        }])
+
+        return fragment
+    }
+
+    /**
+     * Build the whole ε-NFA
+     *
+     * @returns {FSA} The ε-NFA that accepts the language of the regular expression
+     */
+    build () {
+        const fragment = this.buildFragment(this.ast)
+        this.fsa.startState = fragment.start
+        this.fsa.acceptStates = [fragment.accept]
+
+        return this.fsa
+    }
+}
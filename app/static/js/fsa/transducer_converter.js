@@ -0,0 +1,226 @@
+import FSA from './fsa.js'
+
+export default class TransducerConverter {
+    /**
+     * TransducerConverter converts a Mealy machine into an equivalent Moore machine or the other way around,
+     * one state or transition at a time.
+     *
+     * A Mealy machine becomes a Moore machine by splitting every state q into a state (q,o) for every output o
+     * written by a transition into q, so that the output moves from the transition onto the state it enters.
+     * The start state keeps its name and writes nothing, so both machines write the same output.
+     *
+     * A Moore machine becomes a Mealy machine by moving the output of every state onto the transitions into it.
+     * The output the Moore machine writes in its start state before reading anything is dropped.
+     *
+     * @param {FSA} machine The Mealy or Moore machine to convert
+     */
+    constructor (machine) {
+        if (!machine.isTransducer()) throw new Error('Only a Mealy or Moore machine can be converted')
+
+        this.machine = machine
+
+        // result is the converted machine, which is built up step by step
+        this.result = undefined
+
+        // origins maps the states of the result to the state of the input machine they stand for
+        this.origins = undefined
+
+        // stateIndex and alphabetIndex point to the transition of the result that is added next
+        this.stateIndex = 0
+        this.alphabetIndex = 0
+
+        // steps is the list of steps that have occurred thus far, along with the converter's state before each step
+        this.steps = []
+    }
+
+    /**
+     * Get the name of the Moore state that stands for a Mealy state entered with the given output
+     *
+     * @param {String} state The state of the Mealy machine
+     * @param {String} output The output of the transition into the state
+     * @returns {String} The name of the Moore state (e.g. '(1,0)')
+     */
+    getMooreState (state, output) {
+        return output === '' ? state : `(${state},${output})`
+    }
+
+    /**
+     * Freeze the converter's progress so that a step can be undone
+     *
+     * @returns {Object} The copy of the converter's progress
+     */
+    snapshot () {
+        return {
+            result: this.result ? this.result.clone() : undefined,
+            origins: this.origins ? Object.assign({}, this.origins) : undefined,
+            stateIndex: this.stateIndex,
+            alphabetIndex: this.alphabetIndex
+        }
+    }
+
+    /**
+     * Set up the result with the states that are known before any transition is followed
+     *
+     * @returns {Array} The result after this step and the step that was performed
+     */
+    initialize () {
+        const prevState = this.snapshot()
+        const machine = this.machine
+
+        if (machine.startState === undefined) throw new Error('The machine has no start state')
+
+        let step
+        if (machine.mode === 'mealy') {
+            // The Moore machine is discovered from its start state, which writes nothing
+            this.result = new FSA([machine.startState], [...machine.alphabet], {}, machine.startState, [])
+            this.result.mode = 'moore'
+            this.result.stateOutputs[machine.startState] = ''
+            this.origins = { [machine.startState]: machine.startState }
+
+            step = {
+                type: 'initialize',
+                desc: `Start the Moore machine with state ${machine.startState}, which writes nothing before the first symbol`
+            }
+        } else {
+            // The Mealy machine has the same states as the Moore machine
+            this.result = new FSA([...machine.states], [...machine.alphabet], {}, machine.startState, [...machine.acceptStates])
+            this.result.mode = 'mealy'
+            this.origins = {}
+            machine.states.forEach(e => { this.origins[e] = e })
+
+            const startOutput = machine.getStateOutput(machine.startState)
+            step = {
+                type: 'initialize',
+                desc: 'Copy the states of the Moore machine, whose outputs will move onto the transitions into them' +
+                    (startOutput ? `. The output ${startOutput} of the start state before the first symbol is dropped` : '')
+            }
+        }
+
+        this.steps.push([prevState, step])
+        return [this.result.clone(), step]
+    }
+
+    /**
+     * Follow the next transition of the input machine, discovering the state it leads to if it is new
+     *
+     * @returns {Array} The result after this step and the step that was performed
+     */
+    followNextTransition () {
+        const prevState = this.snapshot()
+        const from = this.result.states[this.stateIndex]
+        const origin = this.origins[from]
+        const symbol = this.machine.alphabet[this.alphabetIndex]
+        const [to] = this.machine.transitions[origin][symbol]
+
+        let step
+        if (this.machine.mode === 'mealy') {
+            const output = this.machine.getTransitionOutput(origin, symbol)
+            const state = this.getMooreState(to, output)
+
+            if (!this.result.states.includes(state)) {
+                // Discover the state first and add the transition into it with the next step
+                this.result.states.push(state)
+                this.result.stateOutputs[state] = output
+                this.origins[state] = to
+
+                step = {
+                    type: 'discover_state',
+                    desc: `Discover state ${state}: state ${to} entered while writing ${output || 'ε'}`,
+                    state: state,
+                    output: output
+                }
+                this.steps.push([prevState, step])
+                return [this.result.clone(), step]
+            }
+
+            step = {
+                type: 'add_transition',
+                desc: `${origin} reads ${symbol} and writes ${output || 'ε'} on its way to ${to}, so ${from} reads ${symbol} into ${state}`,
+                fromState: from,
+                toState: state,
+                symbol: symbol
+            }
+        } else {
+            const output = this.machine.getStateOutput(to)
+            if (!this.result.transitionOutputs[from]) this.result.transitionOutputs[from] = {}
+            this.result.transitionOutputs[from][symbol] = output
+
+            step = {
+                type: 'add_transition',
+                desc: `State ${to} writes ${output || 'ε'}, so the transition from ${from} on ${symbol} writes ${output || 'ε'}`,
+                fromState: from,
+                toState: to,
+                symbol: symbol,
+                output: output
+            }
+        }
+
+        if (!this.result.transitions[from]) this.result.transitions[from] = {}
+        this.result.transitions[from][symbol] = [step.toState]
+        this.alphabetIndex++
+
+        this.steps.push([prevState, step])
+        return [this.result.clone(), step]
+    }
+
+    /**
+     * Whether the transition that stateIndex and alphabetIndex point to exists in the input machine
+     *
+     * @returns {Boolean} True if there is a transition to follow
+     */
+    hasNextTransition () {
+        const origin = this.origins[this.result.states[this.stateIndex]]
+        const symbol = this.machine.alphabet[this.alphabetIndex]
+
+        return ((this.machine.transitions[origin] || {})[symbol] || []).length > 0
+    }
+
+    /**
+     * Perform a single step in the conversion
+     *
+     * @returns {Array} The new machine and the step that was performed
+     */
+    stepForward () {
+        if (!this.result) return this.initialize()
+
+        // Skip the symbols a state has no transition on, since a partial machine stays partial
+        while (this.stateIndex < this.result.states.length) {
+            if (this.alphabetIndex >= this.machine.alphabet.length) {
+                this.stateIndex++
+                this.alphabetIndex = 0
+            } else if (!this.hasNextTransition()) {
+                this.alphabetIndex++
+            } else {
+                return this.followNextTransition()
+            }
+        }
+
+        return [undefined, undefined]
+    }
+
+    /**
+     * Undo the previous step in the conversion
+     *
+     * @returns {Array} The previous machine and the step that was undone
+     */
+    stepBackward () {
+        if (this.steps.length === 0) { return }
+        const [prevState, prevStep] = this.steps.pop()
+
+        for (const key of Object.keys(prevState)) { this[key] = prevState[key] }
+
+        return [this.result ? this.result.clone() : new FSA([], [], {}, undefined, []), prevStep]
+    }
+
+    /**
+     * Complete the entire conversion
+     *
+     * @returns {FSA} The converted machine
+     */
+    complete () {
+        let step = true
+        while (step) { step = this.stepForward()[1] }
+
+        return this.result
+    }
+}
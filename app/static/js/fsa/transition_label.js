@@ -0,0 +1,245 @@
+import { TransitionLabelError } from '../util/errors.js'
+
+// Characters that have to be escaped with a backslash to be part of a symbol
+const SPECIAL_CHARACTERS = [',', '-', '\\']
+
+// Words that stand for the empty word ε
+const EPSILON_TOKENS = ['ε', 'eps']
+
+// The largest number of symbols a single range may expand to
+const MAX_RANGE_SIZE = 256
+
+export default class TransitionLabelParser {
+    /**
+     * TransitionLabelParser turns the label the user types for a transition into the list of symbols
+     * the transition reads. The supported syntax is:
+     *
+     *     a, b, else    a comma-separated list of symbols, which may be longer than one character
+     *     a-z, 0-9      a range of single characters, which is expanded into its symbols
+     *     ε, eps        the empty word
+     *     \, \- \\      a comma, dash or backslash as part of a symbol
+     *
+     * Whitespace around each symbol is ignored. The labels of Mealy machines also give the output of each
+     * item after a slash, as in 'a/0, b-d/1', which parseWithOutputs() reads.
+     *
+     * @param {String} text The transition label (e.g. 'a-c, x, eps')
+     */
+    constructor (text) {
+        this.text = text
+    }
+
+    /**
+     * Parse the whole label
+     *
+     * @returns {Array} The symbols of the transition, in order and without duplicates (e.g. ['a', 'b', 'c', 'x', 'ε'])
+     */
+    parse () {
+        const symbols = []
+
+        for (const item of this.split()) {
+            for (const symbol of this.parseItem(item)) {
+                if (!symbols.includes(symbol)) symbols.push(symbol)
+            }
+        }
+
+        return symbols
+    }
+
+    /**
+     * Parse a label whose items are written as symbols/output, as on the transitions of a Mealy machine.
+     * An item without a slash has an empty output, as does an item whose output is ε.
+     *
+     * @returns {Array} The symbols of the transition with their outputs (e.g. [{ symbol: 'a', output: '0' }])
+     */
+    parseWithOutputs () {
+        const result = []
+
+        for (const item of this.split()) {
+            const slash = item.map(e => e.char === '/' && !e.escaped).lastIndexOf(true)
+            const input = slash < 0 ? item : this.trim(item.slice(0, slash))
+            let output = slash < 0 ? '' : this.trim(item.slice(slash + 1)).map(e => e.char).join('')
+            if (EPSILON_TOKENS.includes(output)) output = ''
+
+            for (const symbol of this.parseItem(input)) {
+                if (symbol === 'ε') throw new TransitionLabelError('A Mealy machine cannot have ε-transitions', item[0].position)
+                if (!result.some(e => e.symbol === symbol)) result.push({ symbol: symbol, output: output })
+            }
+        }
+
+        return result
+    }
+
+    /**
+     * Split the label at every unescaped comma into items made of characters, remembering which characters
+     * were escaped and where each character is in the label
+     *
+     * @returns {Array} The items, each a list of { char, escaped, position }
+     */
+    split () {
+        const items = [[]]
+
+        for (let i = 0; i < this.text.length; i++) {
+            const char = this.text[i]
+
+            if (char === '\\') {
+                if (i + 1 >= this.text.length) throw new TransitionLabelError('Nothing to escape', i)
+                items[items.length - 1].push({ char: this.text[i + 1], escaped: true, position: i })
+                i++
+            } else if (char === ',') {
+                items.push([])
+            } else {
+                items[items.length - 1].push({ char: char, escaped: false, position: i })
+            }
+        }
+
+        return items.map(item => this.trim(item))
+    }
+
+    /**
+     * Remove the whitespace around an item, unless it was escaped
+     *
+     * @param {Array} item The characters of the item
+     * @returns {Array} The characters without the surrounding whitespace
+     */
+    trim (item) {
+        let start = 0
+        let end = item.length
+        while (start < end && !item[start].escaped && /\s/.test(item[start].char)) { start++ }
+        while (end > start && !item[end - 1].escaped && /\s/.test(item[end - 1].char)) { end-- }
+
+        return item.slice(start, end)
+    }
+
+    /**
+     * Turn a single item of the label into its symbols
+     *
+     * @param {Array} item The characters of the item
+     * @returns {Array} The symbols of the item
+     */
+    parseItem (item) {
+        if (item.length === 0) {
+            // Find the position of the empty item for the error message
+            const position = this.text.length > 0 ? this.findEmptyItemPosition() : 0
+            throw new TransitionLabelError('Missing symbol', position)
+        }
+
+        const text = item.map(e => e.char).join('')
+        if (item.every(e => !e.escaped) && EPSILON_TOKENS.includes(text)) return ['ε']
+
+        // A range is a single character, an unescaped dash and another single character
+        if (item.length === 3 && item[1].char === '-' && !item[1].escaped) {
+            return this.expandRange(item[0], item[2])
+        }
+
+        const dash = item.find(e => e.char === '-' && !e.escaped)
+        if (dash && item.length > 1) {
+            throw new TransitionLabelError('A range must go from one character to another, such as a-z (write \\- for a dash in a symbol)', dash.position)
+        }
+
+        return [text]
+    }
+
+    /**
+     * Expand a range of characters into its symbols
+     *
+     * @param {Object} from The first character of the range
+     * @param {Object} to The last character of the range
+     * @returns {Array} The symbols of the range
+     */
+    expandRange (from, to) {
+        const start = from.char.codePointAt(0)
+        const end = to.char.codePointAt(0)
+
+        if (start > end) throw new TransitionLabelError(`The range ${from.char}-${to.char} is backwards`, from.position)
+        if (end - start >= MAX_RANGE_SIZE) {
+            throw new TransitionLabelError(`The range ${from.char}-${to.char} has more than ${MAX_RANGE_SIZE} symbols`, from.position)
+        }
+
+        const symbols = []
+        for (let code = start; code <= end; code++) { symbols.push(String.fromCodePoint(code)) }
+
+        return symbols
+    }
+
+    /**
+     * Find where the first empty item of the label starts
+     *
+     * @returns {Number} The position of the empty item
+     */
+    findEmptyItemPosition () {
+        const match = /(^|[^\\]),\s*(,|$)|^\s*,/.exec(this.text)
+        return match ? match.index + match[0].indexOf(',') : 0
+    }
+}
+
+/**
+ * Write a symbol so that TransitionLabelParser reads it back as the same symbol
+ *
+ * @param {String} symbol The symbol
+ * @returns {String} The symbol with its special characters escaped
+ */
+export function escapeSymbol (symbol) {
+    if (symbol === 'ε') return symbol
+
+    const escaped = [...symbol].map(e => SPECIAL_CHARACTERS.includes(e) ? `\\${e}` : e).join('')
+    return EPSILON_TOKENS.includes(symbol) || /^\s|\s$/.test(symbol) ? `\\${escaped}` : escaped
+}
+
+/**
+ * Write the symbols of a transition as a label, turning runs of three or more consecutive
+ * characters back into ranges (e.g. ['a', 'b', 'c', 'x'] becomes 'a-c, x')
+ *
+ * @param {Array} symbols The symbols of the transition
+ * @returns {String} The transition label
+ */
+export function formatTransitionLabel (symbols) {
+    return getLabelParts(symbols).join(', ')
+}
+
+/**
+ * Write the symbols of a Mealy machine's transition with their outputs as a label that
+ * TransitionLabelParser.parseWithOutputs() reads back (e.g. 'a-c/0, x/1')
+ *
+ * @param {Array} symbols The symbols of the transition
+ * @param {Function} getOutput Returns the output of a symbol
+ * @returns {String} The transition label
+ */
+export function formatOutputLabel (symbols, getOutput) {
+    const groups = {}
+    for (const symbol of symbols) {
+        const output = getOutput(symbol)
+        groups[output] = (groups[output] || []).concat(symbol)
+    }
+
+    // Symbols with the same output still share a range
+    const escapeOutput = output => output.length > 0 ? [...output].map(e => [',', '\\', '/'].includes(e) ? `\\${e}` : e).join('') : 'ε'
+    return Object.keys(groups).sort()
+        .flatMap(output => getLabelParts(groups[output]).map(e => `${e.replace(/\//g, '\\/')}/${escapeOutput(output)}`))
+        .join(', ')
+}
+
+/**
+ * Split the symbols of a transition into the parts of its label, with runs of consecutive characters as ranges
+ *
+ * @param {Array} symbols The symbols of the transition
+ * @returns {Array} The parts of the label (e.g. ['a-c', 'x'])
+ */
+function getLabelParts (symbols) {
+    const single = symbols.filter(e => [...e].length === 1 && e !== 'ε').sort()
+    const parts = []
+
+    for (let i = 0; i < single.length; i++) {
+        let j = i
+        while (j + 1 < single.length && single[j + 1].codePointAt(0) === single[j].codePointAt(0) + 1) { j++ }
+
+        if (j - i >= 2) {
+            parts.push(`${escapeSymbol(single[i])}-${escapeSymbol(single[j])}`)
+            i = j
+        } else {
+            parts.push(escapeSymbol(single[i]))
+        }
+    }
+
+    const other = symbols.filter(e => !single.includes(e)).sort((a, b) => a === 'ε' ? 1 : (b === 'ε' ? -1 : a.localeCompare(b)))
+    return parts.concat(other.map(escapeSymbol))
+}
@@ -0,0 +1,223 @@
+import FSA from './fsa.js'
+import { TableSyntaxError } from '../util/errors.js'
+
+// Words that stand for the empty word ε in the header
+const EPSILON_TOKENS = ['ε', 'eps']
+
+// Cells that stand for no transition at all
+const EMPTY_CELLS = ['', '-', '–', '∅', 'Ø', '{}']
+
+// The markers in front of a state, which may come in either order
+const START_MARKERS = ['→', '->']
+const ACCEPT_MARKER = '*'
+
+export default class TransitionTableParser {
+    /**
+     * TransitionTableParser reads a transition table as the δ table below the canvas shows it: a header
+     * row with a corner cell and then the symbols (ε or eps for ε-transitions), and a row for every state
+     * whose cells list the states reached on each symbol, separated by commas. A state marked with → (or ->)
+     * is the start state, which is otherwise the state of the first row, and states marked with * are
+     * accept states (e.g. '→*q0').
+     *
+     * The table may be written as CSV (cells with commas must be quoted), as a Markdown table, or
+     * separated by tabs as it is when copied from the page.
+     *
+     * @param {String} text The table
+     */
+    constructor (text) {
+        this.text = text
+    }
+
+    /**
+     * Parse the whole table
+     *
+     * @returns {Object} The FSA, and an empty map of locations since the FSA is laid out automatically
+     */
+    parse () {
+        const rows = this.split()
+        if (rows.length === 0) throw new TableSyntaxError('The table is empty', 1, 1)
+
+        const [header, ...body] = rows
+        if (header.cells.length < 2) throw new TableSyntaxError('The header must list at least one symbol after the corner cell', header.row, 2)
+
+        const symbols = header.cells.slice(1).map((cell, i) => {
+            const column = i + 2
+            if (cell === '') throw new TableSyntaxError('Missing symbol in the header', header.row, column)
+            if (cell.startsWith('λ')) throw new TableSyntaxError(`The output column ${cell} cannot be imported`, header.row, column)
+
+            return EPSILON_TOKENS.includes(cell) ? 'ε' : cell
+        })
+        symbols.forEach((symbol, i) => {
+            if (symbols.indexOf(symbol) !== i) throw new TableSyntaxError(`The symbol ${symbol} has more than one column`, header.row, i + 2)
+        })
+
+        const fsa = new FSA([], symbols.filter(e => e !== 'ε'), {}, undefined, [])
+
+        // Read the states first, since cells may refer to the states of later rows
+        for (const { cells, row } of body) {
+            const { state, start, accept } = this.parseState(cells[0], row)
+            if (fsa.states.includes(state)) throw new TableSyntaxError(`The state ${state} has more than one row`, row, 1)
+            if (cells.length > symbols.length + 1) throw new TableSyntaxError('The row has more cells than the header has symbols', row, symbols.length + 2)
+
+            if (start) {
+                if (fsa.startState !== undefined) throw new TableSyntaxError(`Both ${fsa.startState} and ${state} are marked as the start state`, row, 1)
+                fsa.startState = state
+            }
+            if (accept) fsa.acceptStates.push(state)
+
+            fsa.states.push(state)
+            fsa.transitions[state] = {}
+        }
+
+        if (fsa.startState === undefined) fsa.startState = fsa.states[0]
+
+        body.forEach(({ cells, row }, i) => {
+            const from = fsa.states[i]
+            symbols.forEach((symbol, j) => {
+                const targets = this.parseTargets(cells[j + 1] || '', fsa.states)
+                for (const to of targets) {
+                    if (to === '') throw new TableSyntaxError('Missing state in the list of states', row, j + 2)
+                    if (!fsa.states.includes(to)) throw new TableSyntaxError(`The state ${to} has no row`, row, j + 2)
+                }
+
+                if (targets.length > 0) fsa.transitions[from][symbol] = [...new Set(targets)]
+            })
+        })
+
+        return { fsa: fsa, locations: {} }
+    }
+
+    /**
+     * Split the text into rows of cells, in whichever of the supported layouts it is written
+     *
+     * @returns {Array} The rows that are not blank, each with its cells and its line number
+     */
+    split () {
+        const lines = this.text.split(/\r?\n/).map((line, i) => ({ line: line, row: i + 1 })).filter(e => e.line.trim() !== '')
+
+        if (lines.some(e => e.line.trim().startsWith('|'))) {
+            return lines
+                .map(e => ({ cells: this.splitMarkdown(e.line), row: e.row }))
+                .filter(e => !e.cells.every(cell => /^:?-+:?$/.test(cell)))
+        }
+
+        if (lines.some(e => e.line.includes('\t'))) {
+            return lines.map(e => ({ cells: e.line.split('\t').map(cell => cell.trim()), row: e.row }))
+        }
+
+        return lines.map(e => ({ cells: this.splitCSV(e.line, e.row), row: e.row }))
+    }
+
+    /**
+     * Split a row of a Markdown table, whose cells are separated by pipes. Pipes can be escaped as \|.
+     *
+     * @param {String} line The row
+     * @returns {Array} The cells
+     */
+    splitMarkdown (line) {
+        const cells = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/)
+        return cells.map(e => e.replace(/\\\|/g, '|').trim())
+    }
+
+    /**
+     * Split a row of CSV, whose cells are separated by commas unless they are quoted
+     *
+     * @param {String} line The row
+     * @param {Number} row The line number of the row
+     * @returns {Array} The cells
+     */
+    splitCSV (line, row) {
+        const cells = []
+        let cell = ''
+        let quoted = false
+
+        for (let i = 0; i < line.length; i++) {
+            const c = line[i]
+            if (quoted) {
+                if (c === '"' && line[i + 1] === '"') {
+                    cell += '"'
+                    i++
+                } else if (c === '"') {
+                    quoted = false
+                } else {
+                    cell += c
+                }
+            } else if (c === '"') {
+                quoted = true
+            } else if (c === ',') {
+                cells.push(cell.trim())
+                cell = ''
+            } else {
+                cell += c
+            }
+        }
+        if (quoted) throw new TableSyntaxError('Unterminated quote', row, cells.length + 1)
+
+        cells.push(cell.trim())
+        return cells
+    }
+
+    /**
+     * Parse the first cell of a row, which is a state with its markers
+     *
+     * @param {String} cell The cell (e.g. '→*q0')
+     * @param {Number} row The line number of the row
+     * @returns {Object} The state, and whether it is the start state and an accept state
+     */
+    parseState (cell, row) {
+        let state = cell
+        let start = false
+        let accept = false
+
+        while (true) {
+            const marker = START_MARKERS.find(e => state.startsWith(e))
+            if (marker) {
+                start = true
+                state = state.slice(marker.length).trim()
+            } else if (state.startsWith(ACCEPT_MARKER)) {
+                accept = true
+                state = state.slice(ACCEPT_MARKER.length).trim()
+            } else {
+                break
+            }
+        }
+
+        if (state === '') throw new TableSyntaxError('Missing state', row, 1)
+        return { state: state, start: start, accept: accept }
+    }
+
+    /**
+     * Parse a cell of the table, which lists the states reached on a symbol. A set may be written with braces.
+     * State names may contain commas themselves, as the states of a DFA built by the subset construction do,
+     * so the longest state name that ends at a comma or at the end of the cell is taken first.
+     *
+     * @param {String} cell The cell (e.g. '1, 2' or '{1, 2}')
+     * @param {Array} states The states of the table
+     * @returns {Array} The states
+     */
+    parseTargets (cell, states) {
+        let text = cell.trim()
+        if (states.includes(text)) return [text]
+
+        if (text.startsWith('{') && text.endsWith('}')) text = text.slice(1, -1).trim()
+        if (states.includes(text)) return [text]
+        if (EMPTY_CELLS.includes(text)) return []
+
+        const names = [...states].sort((a, b) => b.length - a.length)
+        const targets = []
+        while (true) {
+            const name = names.find(e => text.startsWith(e) && /^\s*(,|$)/.test(text.slice(e.length)))
+
+            // A name that is not a state is read up to the next comma, to be reported as a missing row
+            let end = name !== undefined ? name.length : text.indexOf(',')
+            if (end === -1) end = text.length
+
+            targets.push(text.slice(0, end).trim())
+            text = text.slice(end).trim()
+            if (text === '') return targets
+
+            // Skip the comma after the name
+            text = text.slice(1).trim()
+        }
+    }
+}
@@ -1,6 +1,10 @@
 import EventHandler from '../util/event_handler.js'
 import { UnknownStateError } from '../util/errors.js'
+import { createFile, readFile } from '../util/automaton_file.js'
+import { showWarning } from '../util/util.js'
 import FSA from './fsa.js'
+import TransitionLabelParser, { formatTransitionLabel, formatOutputLabel } from './transition_label.js'
+import { parsePDALabel, formatPDALabel } from './pda.js'
 import Location from '../canvas/location.js'
 import EditNodeMenu from '../elements/edit_node_menu.js'
 import AddNodeMenu from '../elements/add_node_menu.js'
@@ -11,17 +15,29 @@ import Text from '../canvas/drawables/text.js'
 import QuadraticCurvedLine from '../canvas/drawables/quadratic_curved_line.js'
 import BezierCurvedLine from '../canvas/drawables/bezier_curved_line.js'
 import ArrowedStraightLine from '../canvas/drawables/arrowed_straight_line.js'
+import Stack from '../canvas/drawables/stack.js'
 
 const NODE_RADIUS = 30
 const NODE_COLOR = '#34b1eb'
 const NODE_LABEL_SIZE = 24
 const NODE_OUTLINE_RADIUS = 5
+const ACTIVE_NODE_COLOR = '#f3b75b'
+const REJECTED_NODE_COLOR = '#ff6767'
+const DEAD_NODE_COLOR = '#b9c6cc'
+const BADGE_RADIUS = 10
+const BADGE_COLORS = { error: '#f14668', warning: '#ffdd57', info: '#3e8ed0' }
+const STATE_OUTPUT_DISTANCE = 20
+
+const STACK_CELL_SIZE = 30
+const STACK_DISTANCE = 100
+const STACK_LIMIT = 4
 
 const START_NODE_ARROW_LENGTH = 100
 const START_NODE_ARROW_ANGLE = -135 * (Math.PI / 180)
 
 const TRANSITION_WIDTH = 3
 const TRANSITION_COLOR = 'rgba(0,0,0,1)'
+const DEAD_TRANSITION_COLOR = 'rgba(0,0,0,0.2)'
 const TRANSITION_ARROW_RADIUS = 10
 const TRANSITION_CONTROL_RADIUS = 60
 const TRANSITION_TEXT_RADIUS = 25
@@ -32,6 +48,10 @@ const SELF_TRANSITION_END_ANGLE = 3 * Math.PI / 2
 
 const DFA_START_LOCATION = { x: 85, y: 150 }
 const DFA_NODE_DISTANCE = 175
+const DFA_DISCOVERED_COLUMNS = 4
+
+const LAYOUT_LAYER_DISTANCE = 150
+const LAYOUT_NODE_DISTANCE = 120
 
 export default class VisualFSA extends EventHandler {
     constructor (draggableCanvas, isDFA) {
@@ -41,6 +61,31 @@ export default class VisualFSA extends EventHandler {
         this.nodes = []
         this.isDFA = isDFA
 
+        // highlightedStates are the states a simulated word is currently in
+        this.highlightedStates = []
+        this.highlightRejected = false
+
+        // stacks are the stacks of the configurations a simulated word is in on a PDA, drawn beside the diagram
+        this.stacks = []
+
+        // tests are the test cases stored along with the FSA (e.g. [{ word: 'ab', accept: true }])
+        this.tests = []
+
+        // declaredSymbols are the symbols that belong to the alphabet even if no transition uses them
+        this.declaredSymbols = []
+
+        // alphabetOrder is the order of the alphabet chosen by the user, or undefined to sort it
+        this.alphabetOrder = undefined
+
+        // metadata describes the automaton in the files it is saved to
+        this.metadata = { title: '', author: '', notes: '' }
+
+        // diagnostics are the problems found by FSA.validate(), shown as badges on the states they concern
+        this.diagnostics = []
+
+        // deadStateDisplay is how states that cannot lead to acceptance are drawn: 'show', 'dim' or 'hide'
+        this.deadStateDisplay = 'show'
+
         if (!isDFA) {
             // Listen for mouse moves to draw a transition-in-progress
             this.draggableCanvas.addEventListener('mousemove', e => {
@@ -91,13 +136,16 @@ export default class VisualFSA extends EventHandler {
 
     /**
      * Convert the VisualFSA to a JSON string for storage
-     * @returns {JSON} The JSON representing this VisualFSA
+     * @returns {JSON} The JSON representing this VisualFSA, in the current version of the file schema
      */
     toJSON () {
-        return {
+        return createFile({
             nodes: this.nodes,
-            fsa: this.fsa
-        }
+            fsa: this.fsa,
+            tests: this.tests,
+            declaredSymbols: this.declaredSymbols,
+            alphabetOrder: this.alphabetOrder
+        }, this.metadata)
     }
 
     /**
@@ -105,18 +153,29 @@ export default class VisualFSA extends EventHandler {
      * @returns {String} The JSON string blob representing this VisualFSA
      */
     toJSONString () {
-        return JSON.stringify(this.toJSON())
+        return JSON.stringify(this.toJSON(), null, 2)
     }
 
     /**
-     * Rebuild the VisualFSA from a saved JSON string and cast its contents to the appropriate classes
+     * Rebuild the VisualFSA from a saved JSON string, upgrading files saved by older versions
      * @param {String} str The JSON string
      */
     fromJSON (str) {
-        const obj = JSON.parse(str)
+        this.fromCustomJSON(readFile(str))
+    }
+
+    /**
+     * Rebuild the VisualFSA from a saved JSON string and cast its contents to the appropriate classes
+     * @param {JSON} obj The JSON string
+     */
+    fromCustomJSON (obj) {
         if (!obj.nodes || !obj.fsa) { throw new Error('improperly formatted visual FSA') }
 
         this.nodes = obj.nodes
+        this.tests = obj.tests || []
+        this.declaredSymbols = obj.declaredSymbols || []
+        this.alphabetOrder = obj.alphabetOrder
+        this.metadata = Object.assign({ title: '', author: '', notes: '' }, obj.metadata)
 
         // Cast the given FSA
         this.fsa = Object.assign(new FSA(), obj.fsa)
@@ -131,31 +190,211 @@ export default class VisualFSA extends EventHandler {
     }
 
     /**
-     * Rebuild the VisualFSA from a saved JSON string and cast its contents to the appropriate classes
-     * @param {JSON} obj The JSON string
+     * Replace the VisualFSA's contents with the given FSA. States without a given location are
+     * laid out automatically.
+     * @param {FSA} fsa The FSA to display
+     * @param {Object} locations A map of state labels to Locations
      */
-    fromCustomJSON (obj) {
-        if (!obj.nodes || !obj.fsa) { throw new Error('improperly formatted visual FSA') }
+    setFSA (fsa, locations = {}) {
+        const layout = this.getLayeredLayout(fsa)
 
-        this.nodes = obj.nodes
+        this.fsa = fsa.clone()
+        this.fsa.alphabet = this.fsa.alphabet.filter(e => e !== 'ε')
 
-        // Cast the given FSA
-        this.fsa = Object.assign(new FSA(), obj.fsa)
+        // Every symbol of the given FSA stays in the alphabet, even if no transition uses it
+        this.declaredSymbols = [...this.fsa.alphabet]
+        this.alphabetOrder = undefined
+        this.nodes = fsa.states.map(label => ({
+            label: label,
+            loc: locations[label] || layout[label],
+            transitionText: {},
+            acceptState: fsa.acceptStates.includes(label)
+        }))
 
-        // Cast node locations to Locations
+        // Rebuild the transition text of every node from the FSA's transitions
         for (const node of this.nodes) {
-            node.loc = new Location(node.loc.x, node.loc.y)
+            const transitions = fsa.transitions[node.label] || {}
+            for (const symbol of Object.keys(transitions)) {
+                for (const to of transitions[symbol]) {
+                    if (!node.transitionText[to]) node.transitionText[to] = []
+                    node.transitionText[to].push(symbol)
+                }
+            }
+
+            for (const to of Object.keys(node.transitionText)) {
+                node.transitionText[to] = [...new Set(node.transitionText[to])].sort()
+            }
+        }
+
+        this.render()
+        this.dispatchEvent('change')
+    }
+
+    /**
+     * Switch between an automaton that accepts words and a Mealy or Moore machine that writes output.
+     * The outputs are kept when switching, so switching back restores them.
+     * @param {String} mode Either 'acceptor', 'mealy', 'moore' or 'pda'
+     */
+    setMode (mode) {
+        // The transitions of a PDA are keyed by their labels rather than by symbols, so neither kind can be read as the other
+        const hasTransitions = Object.values(this.fsa.transitions).some(e => Object.keys(e).length > 0)
+        if ((mode === 'pda') !== (this.fsa.mode === 'pda') && hasTransitions) {
+            throw new Error('Remove the transitions before switching to or from a pushdown automaton, since their labels cannot be converted')
         }
 
+        this.fsa.mode = mode
         this.render()
         this.dispatchEvent('change')
     }
 
+    /**
+     * Set what a Mealy machine writes when it reads a symbol in a state
+     * @param {String} state The state label
+     * @param {String} symbol The alphabet symbol
+     * @param {String} output The output, which may be empty
+     */
+    setTransitionOutput (state, symbol, output) {
+        if (!this.fsa.states.includes(state)) { throw new UnknownStateError(state) }
+
+        if (!this.fsa.transitionOutputs[state]) this.fsa.transitionOutputs[state] = {}
+        this.fsa.transitionOutputs[state][symbol] = output
+        this.dispatchEvent('change')
+    }
+
+    /**
+     * Set what a Moore machine writes when it enters a state
+     * @param {String} state The state label
+     * @param {String} output The output, which may be empty
+     */
+    setStateOutput (state, output) {
+        if (!this.fsa.states.includes(state)) { throw new UnknownStateError(state) }
+
+        this.fsa.stateOutputs[state] = output
+        this.dispatchEvent('change')
+    }
+
+    /**
+     * Ask for the output of a state of a Moore machine
+     * @param {String} state The state label
+     */
+    addStateOutputOverlay (state) {
+        this.overlay = new OverlayMessage('#nfa-container', `Enter the output of state ${state}`)
+        this.overlay.addEventListener('keydown', e => {
+            if (!this.overlay || e.keyCode !== 13) return
+
+            this.setStateOutput(state, document.getElementById('symbol-transition').value.trim())
+            this.overlay.deletePrevious()
+        })
+
+        this.overlay.addEventListener('close', () => {
+            this.overlay = undefined
+            this.render()
+        })
+    }
+
+    /**
+     * Show the given diagnostics as badges on the states they concern
+     * @param {Array} diagnostics The diagnostics from FSA.validate()
+     */
+    setDiagnostics (diagnostics) {
+        this.diagnostics = diagnostics
+        this.render()
+    }
+
+    /**
+     * Get the badge for a state, which shows the most severe diagnostic that concerns it
+     * @param {String} state The state label
+     * @returns {Object} The badge options for the state's Circle, or undefined if it has no diagnostics
+     */
+    getBadge (state) {
+        const severities = this.diagnostics.filter(e => e.states.includes(state)).map(e => e.severity)
+        const severity = ['error', 'warning', 'info'].find(e => severities.includes(e))
+        if (!severity) return
+
+        return { color: BADGE_COLORS[severity], text: severity === 'info' ? 'i' : '!', radius: BADGE_RADIUS }
+    }
+
+    /**
+     * Choose how dead and trap states are drawn. They are only hidden from the canvas and stay part of the FSA.
+     * @param {String} display Either 'show', 'dim' or 'hide'
+     */
+    setDeadStateDisplay (display) {
+        this.deadStateDisplay = display
+        this.render()
+    }
+
+    /**
+     * Get the current location of every node
+     * @returns {Object} A map of state labels to Locations
+     */
+    getLocations () {
+        const locations = {}
+        this.nodes.forEach(e => { locations[e.label] = e.loc })
+
+        return locations
+    }
+
+    /**
+     * Lay out the states of an FSA from left to right in layers of increasing distance from the start state.
+     * States that cannot be reached from the start state are laid out from the states without incoming transitions.
+     * @param {FSA} fsa The FSA to lay out
+     * @returns {Object} A map of state labels to Locations
+     */
+    getLayeredLayout (fsa) {
+        const hasIncoming = new Set()
+        for (const from of Object.keys(fsa.transitions)) {
+            for (const symbol of Object.keys(fsa.transitions[from])) {
+                fsa.transitions[from][symbol].filter(e => e !== from).forEach(e => hasIncoming.add(e))
+            }
+        }
+
+        const roots = [fsa.startState, ...fsa.states.filter(e => !hasIncoming.has(e)), ...fsa.states]
+        const layers = {}
+        const queue = []
+
+        // Breadth-first search from every root in turn to find the layer of each state
+        for (const root of roots.filter(e => e !== undefined)) {
+            if (layers[root] !== undefined) continue
+            layers[root] = 0
+            queue.push(root)
+
+            while (queue.length > 0) {
+                const state = queue.shift()
+                const transitions = fsa.transitions[state] || {}
+                for (const symbol of Object.keys(transitions)) {
+                    for (const next of transitions[symbol]) {
+                        if (layers[next] !== undefined) continue
+                        layers[next] = layers[state] + 1
+                        queue.push(next)
+                    }
+                }
+            }
+        }
+
+        const layout = {}
+        const rows = {}
+        for (const state of fsa.states) {
+            const layer = layers[state]
+            rows[layer] = (rows[layer] || 0) + 1
+
+            layout[state] = new Location(
+                DFA_START_LOCATION.x + layer * LAYOUT_LAYER_DISTANCE,
+                DFA_START_LOCATION.y + (rows[layer] - 1) * LAYOUT_NODE_DISTANCE
+            )
+        }
+
+        return layout
+    }
+
     /**
      * Completely wipe the VisualFSA and start from scratch
      */
     reset () {
         this.nodes = []
+        this.tests = []
+        this.declaredSymbols = []
+        this.alphabetOrder = undefined
+        this.metadata = { title: '', author: '', notes: '' }
         this.fsa = new FSA([], [], {}, undefined, [])
         this.render()
         this.dispatchEvent('change')
@@ -257,13 +496,155 @@ export default class VisualFSA extends EventHandler {
      * Parse the FSA's transition map to infer the alphabet
      */
     updateAlphabet () {
-        const alphabet = []
+        // The transitions of a PDA are keyed by their labels, which start with the input symbol
+        const getInput = label => {
+            if (this.fsa.mode !== 'pda') return label
+            try {
+                return parsePDALabel(label)[0].input
+            } catch (e) {
+                return label
+            }
+        }
+
+        const alphabet = [...this.declaredSymbols]
         for (const fromState of Object.keys(this.fsa.transitions)) {
-            for (const symbol of Object.keys(this.fsa.transitions[fromState])) {
+            for (const symbol of Object.keys(this.fsa.transitions[fromState]).map(getInput)) {
                 if (symbol !== 'ε') { alphabet.push(symbol) }
             }
         }
         this.fsa.alphabet = [...new Set(alphabet)].sort()
+
+        // Symbols the user has ordered come first, in their chosen order
+        if (this.alphabetOrder) {
+            const index = e => this.alphabetOrder.includes(e) ? this.alphabetOrder.indexOf(e) : this.alphabetOrder.length
+            this.fsa.alphabet.sort((a, b) => index(a) - index(b))
+        }
+    }
+
+    /**
+     * Add symbols to the alphabet, whether or not a transition uses them
+     * @param {Array} symbols The symbols to declare
+     */
+    declareSymbols (symbols) {
+        if (symbols.includes('ε')) throw new Error('ε is the empty word and cannot be part of the alphabet')
+
+        this.declaredSymbols = [...new Set(this.declaredSymbols.concat(symbols))]
+        this.updateAlphabet()
+        this.dispatchEvent('change')
+    }
+
+    /**
+     * Get every transition that reads the given symbol
+     * @param {String} symbol The alphabet symbol
+     * @returns {Array} The transitions as [from, to] pairs of state labels
+     */
+    getSymbolUsage (symbol) {
+        const usage = []
+        for (const from of this.fsa.states) {
+            for (const to of (this.fsa.transitions[from] || {})[symbol] || []) { usage.push([from, to]) }
+        }
+
+        return usage
+    }
+
+    /**
+     * Rename a symbol of the alphabet, rewriting every transition that reads it
+     * @param {String} symbol The alphabet symbol
+     * @param {String} newSymbol The new name of the symbol
+     */
+    renameSymbol (symbol, newSymbol) {
+        if (this.fsa.mode === 'pda') throw new Error('The input symbols of a PDA are renamed by editing its transitions')
+        if (newSymbol === 'ε') throw new Error('ε is the empty word and cannot be part of the alphabet')
+        if (this.fsa.alphabet.includes(newSymbol)) throw new Error(`The alphabet already has a symbol ${newSymbol}`)
+
+        const rename = e => e === symbol ? newSymbol : e
+
+        for (const map of [this.fsa.transitions, this.fsa.transitionOutputs]) {
+            for (const from of Object.keys(map)) {
+                if (map[from][symbol] === undefined) continue
+
+                map[from][newSymbol] = map[from][symbol]
+                delete map[from][symbol]
+            }
+        }
+
+        for (const node of this.nodes) {
+            for (const to of Object.keys(node.transitionText)) {
+                node.transitionText[to] = node.transitionText[to].map(rename).sort()
+            }
+        }
+
+        this.declaredSymbols = this.declaredSymbols.map(rename)
+        if (this.alphabetOrder) this.alphabetOrder = this.alphabetOrder.map(rename)
+
+        // A renamed symbol keeps its place in the alphabet
+        if (!this.alphabetOrder) this.alphabetOrder = this.fsa.alphabet.map(rename)
+
+        this.updateAlphabet()
+        this.render()
+        this.dispatchEvent('change')
+    }
+
+    /**
+     * Move a symbol within the alphabet, which is the order of the columns in the transition tables
+     * @param {String} symbol The alphabet symbol
+     * @param {Number} offset How many places to move the symbol, e.g. -1 to move it one place forward
+     */
+    moveSymbol (symbol, offset) {
+        const alphabet = [...this.fsa.alphabet]
+        const index = alphabet.indexOf(symbol)
+        const newIndex = Math.max(0, Math.min(alphabet.length - 1, index + offset))
+        if (index < 0 || index === newIndex) return
+
+        alphabet.splice(index, 1)
+        alphabet.splice(newIndex, 0, symbol)
+        this.alphabetOrder = alphabet
+
+        this.updateAlphabet()
+        this.dispatchEvent('change')
+    }
+
+    /**
+     * Delete a symbol from the alphabet along with every transition that reads it
+     * @param {String} symbol The alphabet symbol
+     */
+    deleteSymbol (symbol) {
+        if (this.fsa.mode === 'pda') throw new Error('The input symbols of a PDA are deleted by editing its transitions')
+
+        for (const from of Object.keys(this.fsa.transitions)) { delete this.fsa.transitions[from][symbol] }
+        for (const from of Object.keys(this.fsa.transitionOutputs)) { delete this.fsa.transitionOutputs[from][symbol] }
+
+        for (const node of this.nodes) {
+            for (const to of Object.keys(node.transitionText)) {
+                node.transitionText[to] = node.transitionText[to].filter(e => e !== symbol)
+                if (node.transitionText[to].length === 0) { delete node.transitionText[to] }
+            }
+        }
+
+        this.declaredSymbols = this.declaredSymbols.filter(e => e !== symbol)
+        if (this.alphabetOrder) this.alphabetOrder = this.alphabetOrder.filter(e => e !== symbol)
+
+        this.updateAlphabet()
+        this.render()
+        this.dispatchEvent('change')
+    }
+
+    /**
+     * Highlight the given states on the next render, e.g. the active states of a simulated word
+     * @param {Array} states The state labels to highlight
+     * @param {Boolean} rejected Whether to highlight the states as having rejected the word
+     */
+    setHighlightedStates (states, rejected = false) {
+        this.highlightedStates = states
+        this.highlightRejected = rejected
+    }
+
+    /**
+     * Show the stacks of the configurations a simulated word is in on a PDA
+     * @param {Array} stacks The stacks, each with a label and its symbols from the bottom up (e.g. [{ label: '1', symbols: ['Z', 'A'] }])
+     */
+    setStacks (stacks) {
+        this.stacks = stacks
     }
 
     /**
@@ -273,23 +654,31 @@ export default class VisualFSA extends EventHandler {
      * @param {String} symbol The alphabet symbol for the transition
      */
     addTransition (from, to, symbol) {
+        this.addTransitions(from, to, [symbol])
+    }
+
+    /**
+     * Create new transitions between two states on each of the given symbols, as a single change
+     * @param {String} from The state label for the origin state
+     * @param {String} to The state label for the destination state
+     * @param {Array} symbols The alphabet symbols for the transitions
+     */
+    addTransitions (from, to, symbols) {
         if (!this.fsa.states.includes(from)) { throw new UnknownStateError(from) }
         if (!this.fsa.states.includes(to)) { throw new UnknownStateError(to) }
+        if (symbols.length === 0) return
 
         const fromNode = this.getNode(from)
 
         // Set up object structure if it doesn't exist
         if (!this.fsa.transitions[from]) this.fsa.transitions[from] = {}
-        if (!this.fsa.transitions[from][symbol]) this.fsa.transitions[from][symbol] = []
         if (!fromNode.transitionText[to]) fromNode.transitionText[to] = []
 
-        // Add the transitions to the arrays
-        this.fsa.transitions[from][symbol].push(to)
-        fromNode.transitionText[to].push(symbol)
-
-        // Remove duplicates in case the user somehow added two of the same transitions
-        fromNode.transitionText[to] = [...new Set(fromNode.transitionText[to])].sort()
-        this.fsa.transitions[from][symbol] = [...new Set(this.fsa.transitions[from][symbol])].sort()
+        // Add the transitions, without duplicates in case the user somehow added two of the same transitions
+        for (const symbol of symbols) {
+            this.fsa.transitions[from][symbol] = [...new Set((this.fsa.transitions[from][symbol] || []).concat(to))].sort()
+        }
+        fromNode.transitionText[to] = [...new Set(fromNode.transitionText[to].concat(symbols))].sort()
 
         this.updateAlphabet()
         this.dispatchEvent('change')
@@ -310,7 +699,10 @@ export default class VisualFSA extends EventHandler {
         // Delete transition in the FSA
         if (this.fsa.transitions[from][symbol]) {
             this.fsa.transitions[from][symbol] = this.fsa.transitions[from][symbol].filter(e => e !== to)
-            if (this.fsa.transitions[from][symbol].length === 0) { delete this.fsa.transitions[from][symbol] }
+            if (this.fsa.transitions[from][symbol].length === 0) {
+                delete this.fsa.transitions[from][symbol]
+                if (this.fsa.transitionOutputs[from]) delete this.fsa.transitionOutputs[from][symbol]
+            }
         }
 
         // Delete transition in the node
@@ -335,10 +727,13 @@ export default class VisualFSA extends EventHandler {
 
         const fromNode = this.getNode(from)
 
-        for (const symbol of this.fsa.alphabet.concat('ε')) {
+        for (const symbol of Object.keys(this.fsa.transitions[from] || {})) {
             if (this.fsa.transitions[from][symbol] && this.fsa.transitions[from][symbol].includes(to)) {
                 this.fsa.transitions[from][symbol] = this.fsa.transitions[from][symbol].filter(e => e !== to)
-                if (this.fsa.transitions[from][symbol].length === 0) { delete this.fsa.transitions[from][symbol] }
+                if (this.fsa.transitions[from][symbol].length === 0) {
+                    delete this.fsa.transitions[from][symbol]
+                    if (this.fsa.transitionOutputs[from]) delete this.fsa.transitionOutputs[from][symbol]
+                }
             }
         }
 
@@ -354,7 +749,12 @@ export default class VisualFSA extends EventHandler {
      * @param {String} to The state label for the destination state
      */
     addTransitionOverlay (from, to) {
-        this.overlay = new OverlayMessage('#nfa-container', 'Enter the symbol for the transition')
+        const messages = {
+            mealy: 'Enter the symbols and outputs for the transition, e.g. a/0, b-d/1',
+            pda: 'Enter what the transition reads, pops and pushes, e.g. a, Z → AZ; b, A → eps'
+        }
+        const message = messages[this.fsa.mode] || 'Enter the symbols for the transition, e.g. a, b-d, eps'
+        this.overlay = new OverlayMessage('#nfa-container', message)
         this.overlay.addEventListener('keydown', function (e) {
             if (!this.overlay || e.key === 'Shift') return
 
@@ -369,10 +769,31 @@ export default class VisualFSA extends EventHandler {
             // this.overlay.deletePrevious()
 
             if (e.keyCode === 13) {
-                let text = document.getElementById('symbol-transition').value;
+                const text = document.getElementById('symbol-transition').value
                 if (text && text.length > 0) {
-                    this.addTransition(from, to, text.replace('e', 'ε'));
-                    this.render();
+                    let symbols
+                    try {
+                        if (this.fsa.mode === 'mealy') {
+                            symbols = new TransitionLabelParser(text).parseWithOutputs()
+                        } else if (this.fsa.mode === 'pda') {
+                            // A PDA transition is stored under its label, written the same way every time
+                            symbols = parsePDALabel(text).map(e => ({ symbol: formatPDALabel(e) }))
+                        } else {
+                            symbols = new TransitionLabelParser(text).parse().map(e => ({ symbol: e }))
+                        }
+                    } catch (err) {
+                        // Keep the overlay open so the label can be fixed
+                        return showWarning(err.message)
+                    }
+
+                    // A range such as a-z adds many transitions, which are added as one change
+                    for (const { symbol, output } of symbols) {
+                        if (output === undefined) continue
+                        if (!this.fsa.transitionOutputs[from]) this.fsa.transitionOutputs[from] = {}
+                        this.fsa.transitionOutputs[from][symbol] = output
+                    }
+                    this.addTransitions(from, to, symbols.map(e => e.symbol))
+                    this.render()
                 }
                 this.overlay.deletePrevious()
             }
@@ -422,6 +843,20 @@ export default class VisualFSA extends EventHandler {
         })
     }
 
+    /**
+     * Get the label of the transitions from a state on the given symbols, in the notation of the current mode
+     * @param {String} from The state label for the origin state
+     * @param {Array} symbols The symbols of the transitions, which are the labels of a PDA's transitions
+     * @returns {String} The label
+     */
+    getTransitionLabel (from, symbols) {
+        if (this.fsa.mode === 'mealy') return formatOutputLabel(symbols, e => this.fsa.getTransitionOutput(from, e))
+        if (this.fsa.mode === 'pda') return [...symbols].sort().join('; ')
+
+        // Symbols are joined by commas, with consecutive characters written as ranges
+        return formatTransitionLabel(symbols)
+    }
+
     /**
      * Sync the FSA with the DFA following the step of the conversion process
      *
@@ -451,20 +886,124 @@ export default class VisualFSA extends EventHandler {
             this.setStartState(dfa.startState)
             dfa.acceptStates.forEach(e => this.addAcceptState(e))
 
+            // A converted Mealy or Moore machine starts out with the outputs it already has
+            this.fsa.mode = dfa.mode
+            this.fsa.transitionOutputs = JSON.parse(JSON.stringify(dfa.transitionOutputs))
+            this.fsa.stateOutputs = JSON.parse(JSON.stringify(dfa.stateOutputs))
+
+            // The DFA reads the same alphabet as the NFA, in the same order
+            this.declaredSymbols = [...dfa.alphabet]
+            this.alphabetOrder = [...dfa.alphabet]
+            this.updateAlphabet()
+
+            // Copy any transitions the initial DFA already has (e.g. when minimizing an existing DFA)
+            for (const state of Object.keys(dfa.transitions)) {
+                for (const symbol of Object.keys(dfa.transitions[state])) {
+                    (dfa.transitions[state][symbol] || []).forEach(e => this.addTransition(state, e, symbol))
+                }
+            }
+
+            return this.render()
+        }
+
+        case 'discover_state': {
+            // Place discovered states on a grid in the order they were discovered
+            const index = this.nodes.length
+            const x = DFA_START_LOCATION.x + ((index % DFA_DISCOVERED_COLUMNS) * DFA_NODE_DISTANCE)
+            const y = DFA_START_LOCATION.y + (Math.floor(index / DFA_DISCOVERED_COLUMNS) * DFA_NODE_DISTANCE)
+
+            this.addNode(step.state, new Location(x, y))
+            if (step.accept) { this.addAcceptState(step.state) }
+            if (step.output !== undefined) { this.setStateOutput(step.state, step.output) }
+
             return this.render()
         }
 
         case 'add_transition': {
+            if (step.output !== undefined) { this.setTransitionOutput(step.fromState, step.symbol, step.output) }
             this.addTransition(step.fromState, step.toState, step.symbol)
             return this.render()
         }
 
+        case 'omit_transition': {
+            return this.render()
+        }
+
         case 'delete_state': {
             step.location = this.getNode(step.state).loc
             this.removeNode(step.state)
             return this.render()
         }
 
+        case 'add_trap_state': {
+            // Place the trap state below the lowest state
+            const lowest = Math.max(...this.nodes.map(e => e.loc.y))
+            this.addNode(step.state, new Location(DFA_START_LOCATION.x, lowest + DFA_NODE_DISTANCE))
+
+            for (const [state, symbol] of step.transitions) {
+                this.addTransition(state, step.state, symbol)
+            }
+
+            return this.render()
+        }
+
+        case 'merge_class': {
+            const nodes = step.states.map(e => this.getNode(e))
+            const rename = s => step.states.includes(s) ? step.state : s
+            step.locations = nodes.map(e => e.loc)
+
+            // Create the new state at the centroid of the old states
+            const x = nodes.reduce((sum, e) => sum + e.loc.x, 0) / nodes.length
+            const y = nodes.reduce((sum, e) => sum + e.loc.y, 0) / nodes.length
+            this.addNode(step.state, new Location(x, y))
+            if (step.states.some(e => this.fsa.acceptStates.includes(e))) { this.addAcceptState(step.state) }
+            if (step.states.includes(this.fsa.startState)) { this.setStartState(step.state) }
+
+            // Take the outgoing transitions from the first state of the class
+            const transitions = this.fsa.transitions[step.states[0]] || {}
+            for (const symbol of Object.keys(transitions)) {
+                transitions[symbol].forEach(e => this.addTransition(step.state, rename(e), symbol))
+            }
+
+            // Redirect the incoming transitions of the class to the new state
+            for (const state of this.fsa.states.filter(e => !step.states.includes(e) && e !== step.state)) {
+                for (const symbol of Object.keys(this.fsa.transitions[state] || {})) {
+                    if (this.fsa.transitions[state][symbol].some(e => step.states.includes(e))) {
+                        this.addTransition(state, step.state, symbol)
+                    }
+                }
+            }
+
+            step.states.forEach(e => this.removeNode(e))
+
+            return this.render()
+        }
+
+        case 'load_gnfa': {
+            const locations = Object.assign({}, step.locations)
+            const oldStart = dfa.transitions[dfa.startState]['ε'][0]
+
+            // Put the new start state left of the old one and the new accept state right of every state
+            if (locations[oldStart]) {
+                const xs = Object.values(locations).map(e => e.x)
+                locations[dfa.startState] = new Location(Math.min(...xs) - LAYOUT_LAYER_DISTANCE, locations[oldStart].y)
+                locations[dfa.acceptStates[0]] = new Location(Math.max(...xs) + LAYOUT_LAYER_DISTANCE, locations[oldStart].y)
+            }
+
+            return this.setFSA(dfa, locations)
+        }
+
+        case 'select_state': {
+            this.setHighlightedStates([step.state])
+            return this.render()
+        }
+
+        case 'eliminate_state': {
+            step.location = this.getNode(step.state).loc
+            this.setHighlightedStates([])
+            return this.setFSA(dfa, this.getLocations())
+        }
+
         case 'merge_states': {
             const s1 = step.states[0]
             const n1 = this.getNode(s1)
@@ -511,17 +1050,29 @@ export default class VisualFSA extends EventHandler {
         case 'initialize': {
             this.fsa = new FSA([], [], {}, undefined, [])
             this.nodes = []
+            this.declaredSymbols = []
+            this.alphabetOrder = undefined
 
             this.dispatchEvent('change')
             return this.render()
         }
 
+        case 'discover_state': {
+            this.removeNode(step.state)
+
+            return this.render()
+        }
+
         case 'add_transition': {
             this.removeTransition(step.fromState, step.toState, step.symbol)
 
             return this.render()
         }
 
+        case 'omit_transition': {
+            return this.render()
+        }
+
         case 'delete_state': {
             this.addNode(step.state, step.location)
             if (dfa.startState === step.state) { this.setStartState(step.state) }
@@ -535,6 +1086,57 @@ export default class VisualFSA extends EventHandler {
                 }
             }
 
+            // Restore the transitions into the state, which a deleted trap state has
+            for (const state of dfa.states.filter(e => e !== step.state)) {
+                for (const symbol of Object.keys(dfa.transitions[state] || {})) {
+                    if ((dfa.transitions[state][symbol] || []).includes(step.state)) this.addTransition(state, step.state, symbol)
+                }
+            }
+
+            return this.render()
+        }
+
+        case 'add_trap_state': {
+            this.removeNode(step.state)
+
+            return this.render()
+        }
+
+        case 'load_gnfa': {
+            return this.reset()
+        }
+
+        case 'select_state': {
+            this.setHighlightedStates([])
+            return this.render()
+        }
+
+        case 'eliminate_state': {
+            const locations = this.getLocations()
+            locations[step.state] = step.location
+
+            this.setHighlightedStates([step.state])
+            return this.setFSA(dfa, locations)
+        }
+
+        case 'merge_class': {
+            this.removeNode(step.state)
+            step.states.forEach((e, i) => this.addNode(e, step.locations[i]))
+
+            if (step.states.includes(dfa.startState)) { this.setStartState(dfa.startState) }
+            step.states.filter(e => dfa.acceptStates.includes(e)).forEach(e => this.addAcceptState(e))
+
+            // Restore every transition from or to the states of the class
+            for (const state of dfa.states) {
+                for (const symbol of Object.keys(dfa.transitions[state] || {})) {
+                    for (const endState of dfa.transitions[state][symbol]) {
+                        if (step.states.includes(state) || step.states.includes(endState)) {
+                            this.addTransition(state, endState, symbol)
+                        }
+                    }
+                }
+            }
+
             return this.render()
         }
 
@@ -580,10 +1182,19 @@ export default class VisualFSA extends EventHandler {
 
         if (this.transitionInProgress) { this.draggableCanvas.addObject(this.transitionInProgress) }
 
+        // Mealy and Moore machines have no accept states, and the transitions of a PDA are keyed by their labels,
+        // so only a finite automaton has dead states to dim or hide
+        const showsDeadStates = this.deadStateDisplay !== 'show' && this.fsa.mode === 'acceptor'
+        const deadStates = showsDeadStates ? this.fsa.getDeadStates() : []
+        const isHidden = state => this.deadStateDisplay === 'hide' && deadStates.includes(state)
+
         // Draw transition lines
         for (const fromNode of this.nodes) {
             for (const endState of Object.keys(fromNode.transitionText)) {
+                if (isHidden(fromNode.label) || isHidden(endState)) continue
+
                 const toNode = this.getNode(endState)
+                const dimmed = deadStates.includes(fromNode.label) || deadStates.includes(endState)
 
                 let textLocation
                 let textRotation
@@ -607,6 +1218,7 @@ export default class VisualFSA extends EventHandler {
                     const angleFromTo = fromNode.loc.angleTo(toNode.loc)
 
                     const transitionLine = this.getQuadraticLine(fromNode.loc, toNode.loc, fromNode, toNode)
+                    if (dimmed) transitionLine.options.color = DEAD_TRANSITION_COLOR
 
                     if (!this.isDFA) transitionLine.addEventListener('edit', editFn)
                     this.draggableCanvas.addObject(transitionLine)
@@ -624,7 +1236,7 @@ export default class VisualFSA extends EventHandler {
 
                     const transitionLine = new BezierCurvedLine(fromOutsideRadius, toOutsideRadius, cp1, cp2, {
                         width: TRANSITION_WIDTH,
-                        color: TRANSITION_COLOR,
+                        color: dimmed ? DEAD_TRANSITION_COLOR : TRANSITION_COLOR,
                         arrowRadius: TRANSITION_ARROW_RADIUS
                     })
 
@@ -637,11 +1249,12 @@ export default class VisualFSA extends EventHandler {
                     textRotation = Math.abs(midpointAngle) > (Math.PI / 2) ? midpointAngle + Math.PI : midpointAngle
                 }
 
-                // Add the transition symbols to the line, joined by commas
+                // Add the transition symbols to the line
+                const symbols = fromNode.transitionText[endState]
                 const text = new Text(textLocation, {
-                    text: fromNode.transitionText[endState].join(', '),
+                    text: this.getTransitionLabel(fromNode.label, symbols),
                     rotation: textRotation,
-                    color: '#000',
+                    color: dimmed ? DEAD_TRANSITION_COLOR : '#000',
                     size: 24,
                     font: 'Roboto'
                 })
@@ -652,6 +1265,8 @@ export default class VisualFSA extends EventHandler {
 
         // Draw node circles
         for (const node of this.nodes) {
+            if (isHidden(node.label)) continue
+
             let color = NODE_COLOR
             let outline
 
@@ -673,6 +1288,12 @@ export default class VisualFSA extends EventHandler {
                 outline = { color: '#000', width: 2, distance: NODE_OUTLINE_RADIUS }
             }
 
+            if (deadStates.includes(node.label)) color = DEAD_NODE_COLOR
+
+            if (this.highlightedStates.includes(node.label)) {
+                color = this.highlightRejected ? REJECTED_NODE_COLOR : ACTIVE_NODE_COLOR
+            }
+
             const circle = new Circle(node.loc, {
                 radius: NODE_RADIUS,
                 color: color,
@@ -683,7 +1304,8 @@ export default class VisualFSA extends EventHandler {
                     font: 'Helvetica'
                 }),
                 borderOptions: { color: '#000', width: 2 },
-                outlineOptions: outline
+                outlineOptions: outline,
+                badgeOptions: this.getBadge(node.label)
             })
 
             if (!this.isDFA) {
@@ -691,7 +1313,7 @@ export default class VisualFSA extends EventHandler {
                     // Don't show the edit menu if the user is currently creating a transition
                     if (this.transitionInProgress) { return }
 
-                    const editMenu = new EditNodeMenu(e.clientX, e.clientY)
+                    const editMenu = new EditNodeMenu(e.clientX, e.clientY, this.fsa.mode === 'moore')
 
                     editMenu.addEventListener('addtransition', () => {
                         this.addingTransitionNode = node
@@ -711,6 +1333,10 @@ export default class VisualFSA extends EventHandler {
                         this.render()
                     })
 
+                    editMenu.addEventListener('setoutput', () => {
+                        this.addStateOutputOverlay(node.label)
+                    })
+
                     editMenu.addEventListener('delete', () => {
                         this.removeNode(node.label)
                         this.render()
@@ -718,6 +1344,17 @@ export default class VisualFSA extends EventHandler {
                 })
             }
 
+            // A Moore machine writes the output of a state below it
+            if (this.fsa.mode === 'moore') {
+                const loc = new Location(node.loc.x, node.loc.y + NODE_RADIUS + (node.acceptState ? NODE_OUTLINE_RADIUS : 0) + STATE_OUTPUT_DISTANCE)
+                this.draggableCanvas.addObject(new Text(loc, {
+                    text: `λ = ${this.fsa.getStateOutput(node.label) || 'ε'}`,
+                    size: 18,
+                    color: deadStates.includes(node.label) ? DEAD_TRANSITION_COLOR : '#000',
+                    font: 'Roboto'
+                }))
+            }
+
             circle.addEventListener('move', e => {
                 node.loc = e.newLocation
                 this.render()
@@ -725,5 +1362,37 @@ export default class VisualFSA extends EventHandler {
 
             this.draggableCanvas.addObject(circle)
         }
+
+        this.renderStacks()
+    }
+
+    /**
+     * Draw the stacks of a simulated PDA side by side, right of the diagram
+     */
+    renderStacks () {
+        if (this.stacks.length === 0 || this.nodes.length === 0) return
+
+        const x = Math.max(...this.nodes.map(e => e.loc.x)) + NODE_RADIUS + STACK_DISTANCE
+        const y = Math.max(...this.nodes.map(e => e.loc.y)) + NODE_RADIUS
+
+        this.stacks.slice(0, STACK_LIMIT).forEach((stack, i) => {
+            this.draggableCanvas.addObject(new Stack(new Location(x + i * 2 * STACK_CELL_SIZE, y), {
+                symbols: stack.symbols,
+                cellSize: STACK_CELL_SIZE,
+                color: '#fff',
+                topColor: ACTIVE_NODE_COLOR,
+                label: stack.symbols.length > 0 ? stack.label : `${stack.label} (empty)`
+            }))
+        })
+
+        // Only the first stacks fit beside the diagram
+        if (this.stacks.length > STACK_LIMIT) {
+            this.draggableCanvas.addObject(new Text(new Location(x + STACK_LIMIT * 2 * STACK_CELL_SIZE, y - STACK_CELL_SIZE / 2), {
+                text: `+${this.stacks.length - STACK_LIMIT}`,
+                size: 18,
+                color: '#000',
+                font: 'Roboto'
+            }))
+        }
     }
 }
@@ -0,0 +1,179 @@
+export default class WordSimulator {
+    /**
+     * WordSimulator runs an input word through an FSA one symbol at a time, keeping track of the set
+     * of states the FSA can be in after each symbol. For an NFA this set includes the ε-closure. For a Mealy
+     * or Moore machine it also keeps track of the output that is written along the way.
+     *
+     * @param {FSA} fsa The FSA to run the word through
+     * @param {String} word The input word
+     */
+    constructor (fsa, word) {
+        if (fsa.startState === undefined) throw new Error('The automaton has no start state')
+
+        this.fsa = fsa
+        this.symbols = WordSimulator.tokenize(word, fsa.alphabet)
+
+        // frames holds the set of active states before the first symbol and after every symbol
+        this.frames = [fsa.closure([fsa.startState])]
+        for (const symbol of this.symbols) {
+            const prev = this.frames[this.frames.length - 1]
+            this.frames.push(fsa.alphabet.includes(symbol) ? fsa.getNextStates(prev, symbol) : [])
+        }
+
+        // outputs holds what a Mealy or Moore machine writes before the first symbol and while reading every symbol
+        this.outputs = fsa.isTransducer() ? this.getOutputs() : []
+
+        // position is the number of symbols that have been read so far
+        this.position = 0
+    }
+
+    /**
+     * Split a word into the symbols of the given alphabet. The longest matching symbol is always taken,
+     * so that multi-character symbols can be written without separators. Whitespace is ignored, and any
+     * character that does not start a symbol becomes a symbol of its own.
+     *
+     * @param {String} word The input word (e.g. 'abba')
+     * @param {Array} alphabet The symbols of the FSA
+     * @returns {Array} The list of symbols (e.g. ['a', 'b', 'b', 'a'])
+     */
+    static tokenize (word, alphabet) {
+        const symbols = []
+        const sorted = [...alphabet].sort((a, b) => b.length - a.length)
+
+        let i = 0
+        while (i < word.length) {
+            if (/\s/.test(word[i])) {
+                i++
+                continue
+            }
+
+            const symbol = sorted.find(e => e.length > 0 && word.startsWith(e, i)) || word[i]
+            symbols.push(symbol)
+            i += symbol.length
+        }
+
+        return symbols
+    }
+
+    /**
+     * Join a list of symbols back into a word that tokenize() splits the same way. Symbols are separated by
+     * spaces if the alphabet or the word has a symbol longer than one character, since the longest match
+     * could otherwise read neighbouring symbols as one (e.g. 'a' and 'b' as 'ab').
+     *
+     * @param {Array} symbols The list of symbols (e.g. ['a', 'b'])
+     * @param {Array} alphabet The symbols the word is tokenized with
+     * @returns {String} The word (e.g. 'ab')
+     */
+    static join (symbols, alphabet) {
+        return symbols.join([...symbols, ...alphabet].some(e => e.length > 1) ? ' ' : '')
+    }
+
+    /**
+     * Work out what the machine writes along the run. A Moore machine writes the output of every state it enters,
+     * starting with the start state, and a Mealy machine writes the output of every transition it takes.
+     *
+     * @returns {Array} The output before the first symbol and after every symbol
+     */
+    getOutputs () {
+        const outputs = [this.fsa.mode === 'moore' ? this.fsa.getStateOutput(this.fsa.startState) : '']
+
+        for (let i = 1; i < this.frames.length; i++) {
+            const [from] = this.frames[i - 1]
+            const [to] = this.frames[i]
+
+            if (to === undefined) {
+                outputs.push('')
+            } else if (this.fsa.mode === 'moore') {
+                outputs.push(this.fsa.getStateOutput(to))
+            } else {
+                outputs.push(this.fsa.getTransitionOutput(from, this.symbols[i - 1]))
+            }
+        }
+
+        return outputs
+    }
+
+    /**
+     * Get the output a Mealy or Moore machine has written up to the current position
+     *
+     * @returns {String} The output word
+     */
+    getOutput () {
+        return this.outputs.slice(0, this.position + 1).join('')
+    }
+
+    /**
+     * Get the set of states the FSA is in at the current position
+     *
+     * @returns {Array} The active states
+     */
+    getActiveStates () {
+        return this.frames[this.position]
+    }
+
+    /**
+     * Whether a set of states contains an accept state
+     *
+     * @param {Array} states The set of states
+     * @returns {Boolean} True if one of the states is an accept state
+     */
+    isAccepting (states) {
+        return states.some(s => this.fsa.acceptStates.includes(s))
+    }
+
+    /**
+     * Whether the whole word has been read
+     *
+     * @returns {Boolean} True if there are no symbols left to read
+     */
+    isFinished () {
+        return this.position === this.symbols.length
+    }
+
+    /**
+     * Whether the FSA accepts the whole word
+     *
+     * @returns {Boolean} True if the word is accepted
+     */
+    isAccepted () {
+        return this.isAccepting(this.frames[this.frames.length - 1])
+    }
+
+    /**
+     * Read the next symbol
+     *
+     * @returns {Boolean} Whether there was a symbol left to read
+     */
+    stepForward () {
+        if (this.isFinished()) return false
+
+        this.position++
+        return true
+    }
+
+    /**
+     * Unread the previous symbol
+     *
+     * @returns {Boolean} Whether there was a symbol to unread
+     */
+    stepBackward () {
+        if (this.position === 0) return false
+
+        this.position--
+        return true
+    }
+
+    /**
+     * Read the remaining symbols at once
+     */
+    complete () {
+        this.position = this.symbols.length
+    }
+
+    /**
+     * Go back to before the first symbol
+     */
+    reset () {
+        this.position = 0
+    }
+}
@@ -2,6 +2,31 @@ import DraggableCanvas from './canvas/draggable_canvas.js'
 import VisualFSA from './fsa/visual_fsa.js'
 import * as utils from './util/util.js'
 import FSADescription from './elements/fsa_description.js'
+import ConversionControls from './elements/conversion_controls.js'
+import DiagnosticsPanel from './elements/diagnostics_panel.js'
+import AlphabetPanel from './elements/alphabet_panel.js'
+import WordSimulatorPanel from './elements/word_simulator_panel.js'
+import TestCasePanel from './elements/test_case_panel.js'
+import RegexInput from './elements/regex_input.js'
+import StateEliminationPanel from './elements/state_elimination_panel.js'
+import EquivalencePanel from './elements/equivalence_panel.js'
+import OperationsPanel from './elements/operations_panel.js'
+import LanguagePanel from './elements/language_panel.js'
+import FilePanel from './elements/file_panel.js'
+import CanvasFileControls from './elements/canvas_file_controls.js'
+import SaveDialog from './elements/save_dialog.js'
+import NFAConverter from './fsa/nfa_converter.js'
+import AnimatedNFAConverter from './fsa/animated_nfa_converter.js'
+import DFAMinimizer from './fsa/dfa_minimizer.js'
+import RegexParser from './fsa/regex.js'
+import ThompsonConstruction from './fsa/thompson.js'
+import StateEliminator from './fsa/state_eliminator.js'
+import TransducerConverter from './fsa/transducer_converter.js'
+import EquivalenceChecker from './fsa/equivalence_checker.js'
+import WordSimulator from './fsa/word_simulator.js'
+import * as operations from './fsa/operations.js'
+import AutomatonLibrary from './util/automaton_library.js'
+import { FILE_FORMATS } from './util/file_formats.js'
 
 utils.keepHeightSynced([['#dfa-title', '#nfa-title']])
 
@@ -9,13 +34,45 @@ const nfa = {
     visual: new VisualFSA(new DraggableCanvas('#nfa'), false),
     desc: new FSADescription('#nfa-delta-transitions')
 }
+nfa.simulator = new WordSimulatorPanel('#nfa-simulator', nfa.visual)
+
+// The diagnostics must be updated before the listener below that enables the Convert button
+nfa.diagnostics = new DiagnosticsPanel('#nfa-diagnostics', nfa.visual)
+nfa.alphabet = new AlphabetPanel('#nfa-alphabet', nfa.visual)
 
 const dfa = {
     visual: new VisualFSA(new DraggableCanvas('#dfa'), true),
     desc: new FSADescription('#dfa-delta-transitions')
 }
+dfa.simulator = new WordSimulatorPanel('#dfa-simulator', dfa.visual)
+
+// Test cases are stored with the automaton on the NFA canvas and run against both canvases, PDAs up to the
+// step bound of the NFA simulator
+nfa.tests = new TestCasePanel('#test-cases', nfa.visual, () => {
+    const automata = {}
+    if (nfa.visual.fsa.states.length > 0) automata.NFA = nfa.visual.fsa
+    if (dfa.visual.fsa.states.length > 0) automata.DFA = dfa.visual.fsa
+    return automata
+}, () => nfa.simulator.getStepBound())
+
+// The language report follows whichever canvas is chosen in the panel
+nfa.language = new LanguagePanel('#language-analysis', { nfa: nfa.visual, dfa: dfa.visual })
+
+const controls = new ConversionControls('#conversion-controls')
+
+// Dead and trap states can be dimmed or hidden on either canvas, while the δ tables still list them
+for (const [visual, selector] of [[nfa.visual, '#nfa-dead-states'], [dfa.visual, '#dfa-dead-states']]) {
+    const select = document.querySelector(selector)
+    select.addEventListener('change', () => visual.setDeadStateDisplay(select.value))
+}
+
+// animation is the conversion currently shown on the DFA canvas
+let animation
 
 nfa.visual.addEventListener('change', () => {
+    // The running conversion no longer matches the NFA once it has been edited
+    stopAnimation()
+
     if (nfa.visual.fsa.states.length > 0) {
         nfa.desc.update(nfa.visual.fsa, true)
         setButtonsState(true)
@@ -50,8 +107,13 @@ const $submitBtn = document.querySelector('#convert');
 const $typeSelect = document.querySelector('#select-type');
 
 function setButtonsState (enabled) {
+    // Problems such as a missing start state keep the automaton from being converted
+    const reason = enabled ? nfa.diagnostics.getConvertBlocker($typeSelect.value) : undefined
+    nfa.diagnostics.setConvertBlocker(reason)
+
     $resetBtn.disabled = !enabled
-    $submitBtn.disabled = !enabled
+    $submitBtn.disabled = !enabled || reason !== undefined
+    $submitBtn.title = reason || 'Convert'
 }
 
 $typeSelect.addEventListener('change', () => {
@@ -67,6 +129,38 @@ $typeSelect.addEventListener('change', () => {
         $nfaTitle.innerText = 'Deterministic Finite Automaton (DEA)';
         $dfaTitle.innerText = 'Minimized';
     }
+    if (type === 'mealy_to_moore') {
+        $nfaTitle.innerText = 'Mealy Machine'
+        $dfaTitle.innerText = 'Moore Machine'
+    }
+    if (type === 'moore_to_mealy') {
+        $nfaTitle.innerText = 'Moore Machine'
+        $dfaTitle.innerText = 'Mealy Machine'
+    }
+})
+
+/**
+ * Switch the left canvas between a finite automaton and a Mealy or Moore machine
+ */
+const $modeSelect = document.querySelector('#nfa-mode')
+
+$modeSelect.addEventListener('change', () => {
+    try {
+        nfa.visual.setMode($modeSelect.value)
+    } catch (err) {
+        $modeSelect.value = nfa.visual.fsa.mode
+        return utils.showWarning(err.message)
+    }
+
+    // Offer the conversion that fits the kind of machine
+    const types = { acceptor: 'converter', mealy: 'mealy_to_moore', moore: 'moore_to_mealy', pda: 'converter' }
+    $typeSelect.value = types[$modeSelect.value]
+    $typeSelect.dispatchEvent(new Event('change'))
+})
+
+// Loading or clearing the canvas may change the kind of machine
+nfa.visual.addEventListener('change', () => {
+    $modeSelect.value = nfa.visual.fsa.mode
 })
 
 /**
@@ -75,6 +169,61 @@ $typeSelect.addEventListener('change', () => {
 $resetBtn.addEventListener('click', () => {
     nfa.visual.reset()
     dfa.visual.reset()
+    document.querySelector('#dfa-conversion-step').innerHTML = ''
+})
+
+/**
+ * Stop the current conversion and disable the conversion toolbar
+ */
+function stopAnimation () {
+    if (!animation) return
+
+    animation.stop()
+    animation = undefined
+    controls.setEnabled(false)
+}
+
+function onStepError (e) {
+    utils.showWarning(e.message)
+}
+
+/**
+ * Start animating the given converter or minimizer onto the DFA canvas
+ *
+ * @param {Object} converter The NFAConverter or DFAMinimizer whose steps are animated
+ */
+function startAnimation (converter) {
+    stopAnimation()
+    dfa.visual.reset()
+    dfa.desc.updateDistinguishability(undefined)
+
+    animation = new AnimatedNFAConverter(converter, dfa.visual, controls.getDelay())
+    animation.addEventListener('step', () => {
+        if (converter instanceof DFAMinimizer) dfa.desc.updateDistinguishability(converter.getDistinguishabilityTable())
+    })
+    animation.addEventListener('start', () => controls.setPlaying(true))
+    animation.addEventListener('stop', () => controls.setPlaying(false))
+    animation.addEventListener('complete', () => controls.setPlaying(false))
+
+    controls.setEnabled(true)
+    animation.play(onStepError)
+}
+
+controls.addEventListener('stepforward', () => {
+    animation.stop()
+    animation.step(onStepError)
+})
+
+controls.addEventListener('stepbackward', () => {
+    animation.stop()
+    animation.stepBackward(onStepError)
+})
+
+controls.addEventListener('play', () => animation.play(onStepError))
+controls.addEventListener('pause', () => animation.stop())
+controls.addEventListener('complete', () => animation.complete(onStepError))
+controls.addEventListener('speed', e => {
+    if (animation) animation.setSpeed(e.delay)
 })
 
 /**
@@ -82,8 +231,274 @@ $resetBtn.addEventListener('click', () => {
  */
 $submitBtn.addEventListener('click', () => {
     let type = $typeSelect.value;
-    $submitBtn.disabled = true;
-    return utils.sendRequest(`/api/${type}`, {'input' : nfa.visual.toJSON()}, res => {
-        dfa.visual.fromCustomJSON(res)
+    if (type === 'converter') {
+        startAnimation(new NFAConverter(nfa.visual.fsa.clone(), { mode: controls.getMode(), complete: controls.isComplete() }))
+    }
+    if (type === 'minimize') {
+        startAnimation(new DFAMinimizer(nfa.visual.fsa.clone(), { complete: controls.isComplete() }))
+    }
+    if (type === 'mealy_to_moore' || type === 'moore_to_mealy') {
+        startAnimation(new TransducerConverter(nfa.visual.fsa.clone()))
+    }
+})
+
+/**
+ * Convert the automaton on either canvas into a regular expression, animating the GNFA on the DFA canvas
+ */
+const elimination = new StateEliminationPanel('#state-elimination')
+
+elimination.addEventListener('submit', e => {
+    const source = e.source === 'dfa' ? dfa.visual : nfa.visual
+    if (source.fsa.states.length === 0) return utils.showWarning('There is no automaton to convert')
+
+    // The source must be copied before the DFA canvas is cleared for the animation
+    let eliminator
+    try {
+        eliminator = new StateEliminator(source.fsa.clone(), {
+            order: e.order,
+            locations: source.getLocations()
+        })
+    } catch (err) {
+        return utils.showWarning(err.message)
+    }
+
+    elimination.setResult(undefined)
+    startAnimation(eliminator)
+    animation.addEventListener('step', () => elimination.setResult(eliminator.getResult()))
+})
+
+/**
+ * Check whether the automata on both canvases accept the same language
+ */
+const equivalence = new EquivalencePanel('#equivalence')
+
+equivalence.addEventListener('check', () => {
+    if (nfa.visual.fsa.states.length === 0 || dfa.visual.fsa.states.length === 0) {
+        return utils.showWarning('Both canvases need an automaton to compare')
+    }
+
+    // Equivalence compares the accepted languages, which ignores what a Mealy or Moore machine writes, and
+    // would misread the transitions of a PDA, which are keyed by their labels
+    if (nfa.visual.fsa.isTransducer() || dfa.visual.fsa.isTransducer()) {
+        return utils.showWarning('Only finite automata can be checked for equivalence, not Mealy or Moore machines')
+    }
+    if (nfa.visual.fsa.mode === 'pda' || dfa.visual.fsa.mode === 'pda') {
+        return utils.showWarning('Only finite automata can be checked for equivalence, not pushdown automata')
+    }
+
+    let result
+    try {
+        result = new EquivalenceChecker(nfa.visual.fsa, dfa.visual.fsa).check()
+    } catch (e) {
+        return utils.showWarning(e.message)
+    }
+
+    // The word is replayed on both canvases, so it has to split into the same symbols under either alphabet
+    const alphabet = [...nfa.visual.fsa.alphabet, ...dfa.visual.fsa.alphabet]
+    equivalence.setResult(result, ['left automaton', 'right automaton'], alphabet)
+
+    // Step through the distinguishing word on both canvases to show where they differ
+    if (!result.equivalent) {
+        const word = WordSimulator.join(result.word, alphabet)
+        nfa.simulator.setWord(word)
+        dfa.simulator.setWord(word)
+    }
+})
+
+// The result is stale once either automaton changes
+nfa.visual.addEventListener('change', () => equivalence.setResult(undefined))
+dfa.visual.addEventListener('change', () => equivalence.setResult(undefined))
+
+/**
+ * Save automata under a name and combine saved automata with Boolean and regular operations
+ */
+const library = new AutomatonLibrary()
+const operationsPanel = new OperationsPanel('#operations', library)
+
+operationsPanel.addEventListener('save', e => {
+    const source = e.source === 'dfa' ? dfa.visual : nfa.visual
+    if (source.fsa.states.length === 0) return utils.showWarning('There is no automaton to save')
+
+    try {
+        library.save(e.name, source)
+    } catch (err) {
+        return utils.showWarning(err.message)
+    }
+    operationsPanel.update()
+})
+
+operationsPanel.addEventListener('delete', e => {
+    library.remove(e.name)
+    operationsPanel.update()
+})
+
+operationsPanel.addEventListener('apply', e => {
+    let result
+    try {
+        const operands = e.operands.map(name => library.getFSA(name))
+
+        // The operations work on languages, so they would drop the outputs of a Mealy or Moore machine and
+        // misread the transitions of a PDA
+        const machine = e.operands.find((name, i) => operands[i].mode !== 'acceptor')
+        if (machine !== undefined) return utils.showWarning(`${machine} is not a finite automaton, so it cannot be combined with the operations`)
+
+        result = operations[e.operation](...operands)
+    } catch (err) {
+        return utils.showWarning(err.message)
+    }
+
+    if (e.target === 'dfa') {
+        stopAnimation()
+        dfa.visual.setFSA(result)
+    } else {
+        nfa.visual.setFSA(result)
+    }
+
+    // ε-NFAs are handed over to the subset construction
+    if (!result.isDeterministic()) {
+        $typeSelect.value = 'converter'
+        $typeSelect.dispatchEvent(new Event('change'))
+    }
+})
+
+/**
+ * Export the automaton on either canvas to a file, and import files or pasted text onto the NFA canvas
+ */
+const files = new FilePanel('#files')
+
+files.addEventListener('export', e => {
+    const source = e.source === 'dfa' ? dfa.visual : nfa.visual
+    if (source.fsa.states.length === 0) return utils.showWarning('There is no automaton to export')
+
+    // The step log belongs to the conversion shown on the DFA canvas
+    const context = {
+        isNFA: e.source !== 'dfa',
+        steps: e.source === 'dfa' && animation ? animation.getSteps() : [],
+        scale: e.scale
+    }
+
+    const format = FILE_FORMATS[e.format]
+    const filename = `automaton.${format.extension}`
+    try {
+        const content = format.write(source, context)
+        if (format.binary) {
+            utils.downloadURL(filename, content)
+        } else {
+            utils.downloadFile(filename, content, format.mimeType)
+        }
+    } catch (err) {
+        utils.showWarning(err.message)
+    }
+})
+
+files.addEventListener('import', e => {
+    const source = e.filename || 'The pasted text'
+    const format = FILE_FORMATS[e.format]
+    if (!format || !format.read) return utils.showWarning(`${source} cannot be imported, since its format is not known`)
+
+    try {
+        const { fsa, locations, warnings } = format.read(e.text)
+        nfa.visual.setFSA(fsa, locations)
+
+        // Report the parts of the file that could not be read instead of dropping them silently
+        if (warnings && warnings.length > 0) {
+            utils.showWarning([`${source} was imported, but some of it was skipped:`, ...warnings])
+        }
+    } catch (err) {
+        utils.showWarning(`${source}: ${err.message}`)
+    }
+})
+
+/**
+ * Save the automaton on either canvas to a file with its title, author and notes, and open saved files
+ * with the buttons on the canvas or by dropping them onto it
+ */
+const saveDialog = new SaveDialog('#save-dialog')
+
+saveDialog.addEventListener('save', e => {
+    const source = e.source === 'dfa' ? dfa.visual : nfa.visual
+    source.metadata = e.metadata
+
+    // Characters that are not allowed in file names are replaced
+    const name = (e.metadata.title || 'automaton').replace(/[\\/:*?"<>|]/g, '_')
+    utils.downloadFile(`${name}.json`, source.toJSONString())
+})
+
+for (const [key, visual, selector] of [['nfa', nfa.visual, '#nfa-container'], ['dfa', dfa.visual, '#dfa-container']]) {
+    const fileControls = new CanvasFileControls(selector)
+
+    fileControls.addEventListener('save', () => {
+        if (visual.fsa.states.length === 0) return utils.showWarning('There is no automaton to save')
+        saveDialog.open(key, visual.metadata)
+    })
+
+    fileControls.addEventListener('open', e => {
+        // An opened automaton replaces the conversion shown on the DFA canvas
+        if (key === 'dfa') {
+            stopAnimation()
+            document.querySelector('#dfa-conversion-step').innerHTML = ''
+        }
+
+        try {
+            visual.fromJSON(e.text)
+        } catch (err) {
+            utils.showWarning(`${e.filename}: ${err.message}`)
+        }
     })
+
+    fileControls.addEventListener('unsupported', e => {
+        utils.showWarning(`${e.filename} is not an automaton file. Other formats can be imported under Import and export.`)
+    })
+}
+
+/**
+ * Build an NFA from a regular expression and load it onto the NFA canvas
+ */
+const regexInput = new RegexInput('#regex-input')
+let constructionInterval
+
+// showingConstruction is set while a step of the construction is loaded, which is the only change that keeps it going
+let showingConstruction = false
+
+/**
+ * Stop the animated construction and remove the description of its step
+ */
+function stopConstruction () {
+    clearInterval(constructionInterval)
+    constructionInterval = undefined
+    document.querySelector('#nfa-construction-step').innerHTML = ''
+}
+
+// Clearing, loading or editing the NFA canvas replaces the automaton being built
+nfa.visual.addEventListener('change', () => {
+    if (!showingConstruction) stopConstruction()
+})
+
+regexInput.addEventListener('submit', e => {
+    stopConstruction()
+
+    let construction
+    try {
+        construction = new ThompsonConstruction(new RegexParser(e.regex).parse())
+        construction.build()
+    } catch (err) {
+        return utils.showWarning(err.message)
+    }
+
+    if (!e.animate) return nfa.visual.setFSA(construction.fsa)
+
+    // Show every fragment as it is glued together, ending with the complete NFA
+    const steps = [...construction.steps]
+    constructionInterval = setInterval(() => {
+        const [fsa, step] = steps.shift()
+        showingConstruction = true
+        try {
+            nfa.visual.setFSA(fsa)
+        } finally {
+            showingConstruction = false
+        }
+        document.querySelector('#nfa-construction-step').textContent = step.desc
+
+        if (steps.length === 0) clearInterval(constructionInterval)
+    }, controls.getDelay())
 })
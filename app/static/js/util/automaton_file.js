@@ -0,0 +1,193 @@
+import { AutomatonFileError } from './errors.js'
+
+// The version of the file schema that is written. Files without a version are from before the schema was
+// versioned, and count as version 1.
+export const FILE_VERSION = 2
+
+const MODES = ['acceptor', 'mealy', 'moore', 'pda']
+const METADATA_FIELDS = ['title', 'author', 'notes']
+
+// Each migration upgrades a file from its version to the next one
+const MIGRATIONS = {
+    1: file => Object.assign({ metadata: {} }, file, { version: 2 })
+}
+
+/**
+ * Build the contents of a saved file
+ *
+ * @param {Object} contents The nodes, FSA, test cases and alphabet of a visual FSA
+ * @param {Object} metadata The title, author and notes of the automaton
+ * @returns {Object} The file, ready to be written as JSON
+ */
+export function createFile (contents, metadata) {
+    return Object.assign({
+        version: FILE_VERSION,
+        metadata: {
+            title: metadata.title,
+            author: metadata.author,
+            notes: metadata.notes,
+            saved: new Date().toISOString()
+        }
+    }, contents)
+}
+
+/**
+ * Read a saved file, upgrading files of older versions and checking that the contents make up an automaton
+ *
+ * @param {String} text The contents of the file
+ * @returns {Object} The file in the current version
+ */
+export function readFile (text) {
+    let file
+    try {
+        file = JSON.parse(text)
+    } catch (e) {
+        throw new AutomatonFileError('The file is not valid JSON')
+    }
+    if (!isObject(file)) throw new AutomatonFileError('The file does not hold an automaton')
+
+    const version = file.version === undefined ? 1 : file.version
+    if (!Number.isInteger(version) || version < 1) throw new AutomatonFileError(`${JSON.stringify(version)} is not a version`, 'version')
+    if (version > FILE_VERSION) throw new AutomatonFileError(`${version} is newer than this editor can read (${FILE_VERSION})`, 'version')
+
+    for (let i = version; i < FILE_VERSION; i++) file = MIGRATIONS[i](file)
+
+    addDefaults(file)
+    validate(file)
+
+    return file
+}
+
+/**
+ * Fill in the fields that were added to the editor after a file may have been saved
+ *
+ * @param {Object} file The file in the current version
+ */
+function addDefaults (file) {
+    if (!isObject(file.metadata)) file.metadata = {}
+    for (const field of METADATA_FIELDS) {
+        if (file.metadata[field] === undefined) file.metadata[field] = ''
+    }
+
+    if (file.tests === undefined) file.tests = []
+    if (file.declaredSymbols === undefined) file.declaredSymbols = []
+
+    if (isObject(file.fsa)) {
+        if (file.fsa.mode === undefined) file.fsa.mode = 'acceptor'
+        if (file.fsa.transitionOutputs === undefined) file.fsa.transitionOutputs = {}
+        if (file.fsa.stateOutputs === undefined) file.fsa.stateOutputs = {}
+        if (file.fsa.startState === null) file.fsa.startState = undefined
+    }
+}
+
+/**
+ * Check that a file describes a consistent automaton
+ *
+ * @param {Object} file The file in the current version
+ */
+function validate (file) {
+    for (const field of METADATA_FIELDS) {
+        if (typeof file.metadata[field] !== 'string') throw new AutomatonFileError('must be text', `metadata.${field}`)
+    }
+
+    const fsa = file.fsa
+    if (!isObject(fsa)) throw new AutomatonFileError('is missing', 'fsa')
+    if (!isStringArray(fsa.states)) throw new AutomatonFileError('must be a list of state names', 'fsa.states')
+    if (!isStringArray(fsa.alphabet)) throw new AutomatonFileError('must be a list of symbols', 'fsa.alphabet')
+    if (!MODES.includes(fsa.mode)) throw new AutomatonFileError(`must be one of ${MODES.join(', ')}`, 'fsa.mode')
+
+    if (fsa.startState !== undefined && !fsa.states.includes(fsa.startState)) {
+        throw new AutomatonFileError(`${fsa.startState} is not a state`, 'fsa.startState')
+    }
+    if (!isStringArray(fsa.acceptStates)) throw new AutomatonFileError('must be a list of state names', 'fsa.acceptStates')
+    for (const state of fsa.acceptStates) {
+        if (!fsa.states.includes(state)) throw new AutomatonFileError(`${state} is not a state`, 'fsa.acceptStates')
+    }
+
+    if (!isObject(fsa.transitions)) throw new AutomatonFileError('must map states to their transitions', 'fsa.transitions')
+    for (const from of Object.keys(fsa.transitions)) {
+        if (!fsa.states.includes(from)) throw new AutomatonFileError(`${from} is not a state`, 'fsa.transitions')
+        if (!isObject(fsa.transitions[from])) throw new AutomatonFileError('must map symbols to states', `fsa.transitions.${from}`)
+
+        for (const symbol of Object.keys(fsa.transitions[from])) {
+            const path = `fsa.transitions.${from}.${symbol}`
+            if (!isStringArray(fsa.transitions[from][symbol])) throw new AutomatonFileError('must be a list of state names', path)
+            for (const to of fsa.transitions[from][symbol]) {
+                if (!fsa.states.includes(to)) throw new AutomatonFileError(`${to} is not a state`, path)
+            }
+        }
+    }
+
+    if (!isObject(fsa.transitionOutputs)) throw new AutomatonFileError('must map states to their outputs', 'fsa.transitionOutputs')
+    for (const state of Object.keys(fsa.transitionOutputs)) {
+        const outputs = fsa.transitionOutputs[state]
+        if (!isObject(outputs)) throw new AutomatonFileError('must map symbols to outputs', `fsa.transitionOutputs.${state}`)
+        for (const symbol of Object.keys(outputs)) {
+            if (typeof outputs[symbol] !== 'string') throw new AutomatonFileError('must be text', `fsa.transitionOutputs.${state}.${symbol}`)
+        }
+    }
+    if (!isObject(fsa.stateOutputs)) throw new AutomatonFileError('must map states to their outputs', 'fsa.stateOutputs')
+    for (const state of Object.keys(fsa.stateOutputs)) {
+        if (typeof fsa.stateOutputs[state] !== 'string') throw new AutomatonFileError('must be text', `fsa.stateOutputs.${state}`)
+    }
+
+    if (!Array.isArray(file.nodes)) throw new AutomatonFileError('must be a list of nodes', 'nodes')
+    const labels = []
+    file.nodes.forEach((node, i) => {
+        const path = `nodes[${i}]`
+        if (!isObject(node) || typeof node.label !== 'string') throw new AutomatonFileError('must have a label', path)
+        if (!fsa.states.includes(node.label)) throw new AutomatonFileError(`${node.label} is not a state`, `${path}.label`)
+        if (labels.includes(node.label)) throw new AutomatonFileError(`${node.label} has more than one node`, `${path}.label`)
+        if (!isObject(node.loc) || !Number.isFinite(node.loc.x) || !Number.isFinite(node.loc.y)) {
+            throw new AutomatonFileError('must have a numeric x and y', `${path}.loc`)
+        }
+        if (!isObject(node.transitionText)) throw new AutomatonFileError('must map states to the symbols of the transitions', `${path}.transitionText`)
+
+        // The canvas draws the transitions from the node's text, so every symbol in it must be a transition of the FSA
+        for (const to of Object.keys(node.transitionText)) {
+            const textPath = `${path}.transitionText.${to}`
+            if (!fsa.states.includes(to)) throw new AutomatonFileError(`${to} is not a state`, `${path}.transitionText`)
+            if (!isStringArray(node.transitionText[to])) throw new AutomatonFileError('must be a list of symbols', textPath)
+            for (const symbol of node.transitionText[to]) {
+                const targets = (fsa.transitions[node.label] || {})[symbol] || []
+                if (!targets.includes(to)) throw new AutomatonFileError(`there is no transition on ${symbol} to ${to}`, textPath)
+            }
+        }
+
+        labels.push(node.label)
+    })
+
+    const missing = fsa.states.find(e => !labels.includes(e))
+    if (missing !== undefined) throw new AutomatonFileError(`the state ${missing} has no node`, 'nodes')
+
+    if (!Array.isArray(file.tests)) throw new AutomatonFileError('must be a list of test cases', 'tests')
+    file.tests.forEach((test, i) => {
+        if (!isObject(test) || typeof test.word !== 'string' || typeof test.accept !== 'boolean') {
+            throw new AutomatonFileError('must have a word and whether it is accepted', `tests[${i}]`)
+        }
+    })
+    if (!isStringArray(file.declaredSymbols)) throw new AutomatonFileError('must be a list of symbols', 'declaredSymbols')
+    if (file.alphabetOrder !== undefined && !isStringArray(file.alphabetOrder)) {
+        throw new AutomatonFileError('must be a list of symbols', 'alphabetOrder')
+    }
+}
+
+/**
+ * Whether a value is a plain object
+ *
+ * @param {*} value The value
+ * @returns {Boolean} True if it is an object but not an array or null
+ */
+function isObject (value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Whether a value is an array of strings
+ *
+ * @param {*} value The value
+ * @returns {Boolean} True if it is
+ */
+function isStringArray (value) {
+    return Array.isArray(value) && value.every(e => typeof e === 'string')
+}
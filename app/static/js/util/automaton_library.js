@@ -0,0 +1,76 @@
+import FSA from '../fsa/fsa.js'
+
+// The localStorage key that the saved automata are kept under
+const STORAGE_KEY = 'savedAutomata'
+
+export default class AutomatonLibrary {
+    /**
+     * AutomatonLibrary keeps named copies of visual FSAs in the browser's local storage, so that they
+     * can be reused as operands of operations on automata
+     *
+     * @param {Storage} storage The storage to keep the automata in
+     */
+    constructor (storage = window.localStorage) {
+        this.storage = storage
+    }
+
+    /**
+     * Read every saved automaton from storage
+     *
+     * @returns {Object} A map of names to the saved visual FSAs in JSON form
+     */
+    getAll () {
+        try {
+            return JSON.parse(this.storage.getItem(STORAGE_KEY)) || {}
+        } catch (e) {
+            return {}
+        }
+    }
+
+    /**
+     * Get the names of the saved automata
+     *
+     * @returns {Array} The sorted list of names
+     */
+    getNames () {
+        return Object.keys(this.getAll()).sort()
+    }
+
+    /**
+     * Save a visual FSA under a name, replacing any automaton that was saved under the same name
+     *
+     * @param {String} name The name to save the automaton under
+     * @param {VisualFSA} visual The visual FSA to save
+     */
+    save (name, visual) {
+        if (name.trim().length === 0) throw new Error('Enter a name to save the automaton under')
+
+        const automata = this.getAll()
+        automata[name.trim()] = visual.toJSON()
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(automata))
+    }
+
+    /**
+     * Delete a saved automaton
+     *
+     * @param {String} name The name of the automaton
+     */
+    remove (name) {
+        const automata = this.getAll()
+        delete automata[name]
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(automata))
+    }
+
+    /**
+     * Get the FSA of a saved automaton
+     *
+     * @param {String} name The name of the automaton
+     * @returns {FSA} The saved FSA
+     */
+    getFSA (name) {
+        const saved = this.getAll()[name]
+        if (!saved) throw new Error(`There is no saved automaton named ${name}`)
+
+        return Object.assign(new FSA(), saved.fsa)
+    }
+}
@@ -13,3 +13,49 @@ export class UnknownSymbolError extends Error {
         this.message = `symbol ${symbol} does not exist`
     }
 }
+
+export class RegexSyntaxError extends Error {
+    constructor (message, position) {
+        super()
+        this.name = 'RegexSyntax'
+        this.position = position
+        this.message = `${message} at position ${position + 1}`
+    }
+}
+
+export class TransitionLabelError extends Error {
+    constructor (message, position) {
+        super()
+        this.name = 'TransitionLabel'
+        this.position = position
+        this.message = `${message} at position ${position + 1}`
+    }
+}
+
+export class DotSyntaxError extends Error {
+    constructor (message, line) {
+        super()
+        this.name = 'DotSyntax'
+        this.line = line
+        this.message = `${message} on line ${line}`
+    }
+}
+
+export class TableSyntaxError extends Error {
+    constructor (message, row, column) {
+        super()
+        this.name = 'TableSyntax'
+        this.row = row
+        this.column = column
+        this.message = `${message} at row ${row}, column ${column}`
+    }
+}
+
+export class AutomatonFileError extends Error {
+    constructor (message, path) {
+        super()
+        this.name = 'AutomatonFile'
+        this.path = path
+        this.message = path ? `${path}: ${message}` : message
+    }
+}
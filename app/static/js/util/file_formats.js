@@ -0,0 +1,69 @@
+import JFLAPParser, { toJFLAP } from '../fsa/jflap.js'
+import DotParser, { toDOT } from '../fsa/dot.js'
+import { toLaTeX } from '../fsa/latex.js'
+import { toSVG, toPNG } from '../canvas/image_export.js'
+import TransitionTableParser from '../fsa/transition_table.js'
+
+/**
+ * The file formats automata can be imported from and exported to. Every format has a name, a file
+ * extension and a MIME type, a read function that turns the contents of a file into an FSA along with
+ * the locations of its states, and a write function that turns a visual FSA into the contents of a file.
+ * A read function may also return warnings about parts of the file that could not be read. A write
+ * function is also given whether the FSA is an NFA, the steps of the conversion that built it and the
+ * scale of images. Formats without a read function can only be exported, formats without a write function
+ * can only be imported, and the write function of a format marked as binary returns a data URL rather
+ * than text.
+ */
+export const FILE_FORMATS = {
+    jff: {
+        name: 'JFLAP',
+        extension: 'jff',
+        mimeType: 'application/xml',
+        read: text => new JFLAPParser(text).parse(),
+        write: visual => toJFLAP(visual.fsa, visual.getLocations())
+    },
+    dot: {
+        name: 'Graphviz DOT',
+        extension: 'dot',
+        mimeType: 'text/vnd.graphviz',
+        read: text => new DotParser(text).parse(),
+        write: visual => toDOT(visual)
+    },
+    tex: {
+        name: 'LaTeX/TikZ',
+        extension: 'tex',
+        mimeType: 'application/x-tex',
+        write: (visual, context) => toLaTeX(visual, context)
+    },
+    svg: {
+        name: 'SVG image',
+        extension: 'svg',
+        mimeType: 'image/svg+xml',
+        write: visual => toSVG(visual.draggableCanvas.objects)
+    },
+    png: {
+        name: 'PNG image',
+        extension: 'png',
+        mimeType: 'image/png',
+        binary: true,
+        scalable: true,
+        write: (visual, context) => toPNG(visual.draggableCanvas.objects, context.scale)
+    },
+    table: {
+        name: 'Transition table (CSV, Markdown or tab-separated)',
+        extension: 'csv',
+        mimeType: 'text/csv',
+        read: text => new TransitionTableParser(text).parse()
+    }
+}
+
+/**
+ * Find the format of a file from its extension
+ *
+ * @param {String} filename The name of the file (e.g. 'automaton.jff')
+ * @returns {Object} The format, or undefined if the extension is not known
+ */
+export function getFileFormat (filename) {
+    const extension = filename.split('.').pop().toLowerCase()
+    return Object.values(FILE_FORMATS).find(e => e.extension === extension)
+}
@@ -27,13 +27,17 @@ export function keepHeightSynced (listOfPairs) {
 }
 
 /**
- * Display the given warning element with a message
+ * Display the given warning element with a message. The message is written as text rather than HTML,
+ * since it often repeats names and symbols that come from the user or from a file.
  *
- * @param {String} message The message to put into the warning
+ * @param {String|Array} message The message to put into the warning, or its lines
  */
 export function showWarning (message) {
+    const lines = Array.isArray(message) ? message : [message]
     document.querySelector('#warning').style.display = 'block'
-    document.querySelector('#warning').querySelector('.notification-body').innerHTML = message
+    document.querySelector('#warning').querySelector('.notification-body').replaceChildren(
+        ...lines.flatMap((line, i) => i === 0 ? [String(line)] : [document.createElement('br'), String(line)])
+    )
 
     // Delete the warning after a delay
     if (warningTimeout) { clearTimeout(warningTimeout) }
@@ -43,16 +47,36 @@ export function showWarning (message) {
     }, 4000)
 }
 
+/**
+ * Escape text for use in HTML, such as words, symbols and state names the user typed
+ *
+ * @param {String} text The text
+ * @returns {String} The escaped text
+ */
+export function escapeHTML (text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
 /**
  * Download a file onto the user's computer
  *
  * @param {String} filename The name of the file to create
  * @param {String} content The string contents of the file
+ * @param {String} mimeType The type of the file
+ */
+export function downloadFile (filename, content, mimeType = 'text/json') {
+    downloadURL(filename, `data:${mimeType};charset=utf-8,` + encodeURIComponent(content))
+}
+
+/**
+ * Download the resource at a URL onto the user's computer, such as an image drawn as a data URL
+ *
+ * @param {String} filename The name of the file to create
+ * @param {String} url The URL of the contents of the file
  */
-export function downloadFile (filename, content) {
-    const dataString = 'data:text/json;charset=utf-8,' + encodeURIComponent(content)
+export function downloadURL (filename, url) {
     const downloadNode = document.createElement('a')
-    downloadNode.setAttribute('href', dataString)
+    downloadNode.setAttribute('href', url)
     downloadNode.setAttribute('download', filename)
     document.body.appendChild(downloadNode)
     downloadNode.click()